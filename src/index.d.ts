@@ -4,53 +4,139 @@
  * @license MIT
  */
 
-import type { Anchor, Segment, AxisPos, MapData, ScrollPane, WheelBrakeOptions, WheelOptions, SyncOptions } from "./types.js";
-export type { Anchor, Segment, AxisPos, MapData, ScrollPane, WheelBrakeOptions, WheelOptions, SyncOptions } from "./types.js";
+import type { AnchorBase, Anchor, MultiAnchor, Segment, AxisPos, MapData, AnchorDiagnostic, AnchorIssue, ScrollPane, ScrollAxis, WheelBrakeOptions, WheelOptions, SyncOptions, ScrollToOptions, AnchorScrollOptions, SyncEvent, SnapEvent, SnapEndEvent, SyncEventMap, ActiveSection, SyncDirection, DecoupleKey, AlignOffset, SegmentLength, Interpolation, WheelMotion, WheelMotionContext, SnapAfterOptions, AnchorTuning, BuildMapOptions } from "./types.js";
+export type { AnchorBase, Anchor, MultiAnchor, Segment, AxisPos, MapData, AnchorDiagnostic, AnchorIssue, ScrollPane, ScrollAxis, WheelBrakeOptions, WheelOptions, SyncOptions, ScrollToOptions, AnchorScrollOptions, SyncEvent, SnapEvent, SnapEndEvent, SyncEventMap, ActiveSection, SyncDirection, DecoupleKey, AlignOffset, SegmentLength, Interpolation, WheelMotion, WheelMotionContext, SnapAfterOptions, AnchorTuning, BuildMapOptions } from "./types.js";
 
 /**
  * Build a virtual-axis scroll map from anchors.
  *
+ * @overload
  * @param {Anchor[]} anchors
  * @param {number} sMaxA - scrollHeight − clientHeight of pane A.
  * @param {number} sMaxB - scrollHeight − clientHeight of pane B.
+ * @param {BuildMapOptions} [opts]
  * @returns {MapData}
  */
-export function buildMap(anchors: Anchor[], sMaxA: number, sMaxB: number): MapData;
+export function buildMap(anchors: Anchor[], sMaxA: number, sMaxB: number, opts?: BuildMapOptions | undefined): MapData;
+/**
+ * Build a virtual-axis scroll map for any number of panes. Segments carry
+ * per-pane `px`/`s` arrays; `aPx`/`bPx` mirror panes 0 and 1.
+ *
+ * @overload
+ * @param {Array<Anchor | MultiAnchor>} anchors
+ * @param {number[]} sMax - scrollHeight − clientHeight of each pane.
+ * @param {BuildMapOptions} [opts]
+ * @returns {MapData}
+ */
+export function buildMap(anchors: Array<Anchor | MultiAnchor>, sMax: number[], opts?: BuildMapOptions | undefined): MapData;
 /**
  * Look up a position on one axis given a position on another.
- * Binary search + linear interpolation within the segment.
+ * Binary search, then interpolation within the segment: linear by
+ * default, or monotone cubic, which passes through the same anchors but
+ * changes speed smoothly across them instead of at once.
  *
  * @param {Segment[]} segments
- * @param {AxisPos} from - Source axis.
- * @param {AxisPos} to   - Target axis.
+ * @param {AxisPos | number} from - Source axis, or source pane index.
+ * @param {AxisPos | number} to   - Target axis, or target pane index.
  * @param {number} value  - Position on source axis (px). Caller must clamp
  *   to valid range; out-of-range values are extrapolated, not clamped.
+ * @param {Interpolation} [interpolation]
  * @returns {number} Position on target axis (px).
  */
-export function lookup(segments: Segment[], from: AxisPos, to: AxisPos, value: number): number;
+export function lookup(segments: Segment[], from: AxisPos | number, to: AxisPos | number, value: number, interpolation?: Interpolation): number;
 /**
- * Synchronized scrolling controller for two scrollable elements.
+ * Reported through `onError` in strict mode when a rebuilt map has anchor
+ * diagnostics. The map is still used; this only makes the issues visible.
+ */
+export class AnchorDiagnosticsError extends Error {
+    /** @param {AnchorDiagnostic[]} diagnostics */
+    constructor(diagnostics: AnchorDiagnostic[]);
+    /** Issues found by {@link buildMap}, ascending by anchor index. */
+    diagnostics: AnchorDiagnostic[];
+}
+/**
+ * Synchronized scrolling controller for two or more scrollable elements.
  *
  * @example
  * const sync = new DualScrollSync(editor, preview, {
  *   getAnchors: () => headingAnchors(),
  *   wheel: { smooth: 0.08, snap: 60, brake: { factor: 0.2, zone: 100 } },
  * });
+ *
+ * @example
+ * const sync = new DualScrollSync([editor, preview, outline], {
+ *   getAnchors: () => headings.map((h) => ({ px: [h.editorPx, h.previewPx, h.outlinePx] })),
+ * });
  */
 export class DualScrollSync {
+    /**
+     * @overload
+     * @param {ScrollPane} paneA
+     * @param {ScrollPane} paneB
+     * @param {SyncOptions} opts
+     */
     constructor(paneA: ScrollPane, paneB: ScrollPane, opts: SyncOptions);
+    /**
+     * @overload
+     * @param {ScrollPane[]} panes - Two or more panes. Index 0 is pane A, 1 is pane B.
+     * @param {SyncOptions} opts
+     */
+    constructor(panes: ScrollPane[], opts: SyncOptions);
+    /** All synchronized panes in index order (pane A, pane B, …). @type {readonly ScrollPane[]} */
+    panes: readonly ScrollPane[];
     paneA: ScrollPane;
     paneB: ScrollPane;
-    getAnchors: () => Anchor[];
-    onSync: (() => void) | null;
+    getAnchors: () => Array<Anchor | MultiAnchor> | PromiseLike<Array<Anchor | MultiAnchor>>;
+    onSync: ((e: SyncEvent) => void) | null;
     onMapBuilt: ((data: MapData) => void) | null;
     onError: ((error: unknown) => void) | null;
-    alignOffset: number;
+    /**
+     * Viewport offset of the alignment line: px, a `"30%"` share of the
+     * viewport, a function evaluated on each sync, or one per pane.
+     * @type {AlignOffset | AlignOffset[]}
+     */
+    alignOffset: AlignOffset | AlignOffset[];
+    /** Report anchor diagnostics through `onError` after each rebuild. */
+    strict: boolean;
+    /**
+     * Which panes user input may drive. Panes that do not lead scroll
+     * natively without moving the others, and follow the leader.
+     * @type {SyncDirection}
+     */
+    direction: SyncDirection;
+    /**
+     * Modifier that scrolls the pane under the pointer alone and records
+     * the result as a correction anchor. Null disables decoupling.
+     * @type {DecoupleKey | null}
+     */
+    decoupleKey: DecoupleKey | null;
+    /**
+     * How positions are interpolated between anchors.
+     * @type {Interpolation}
+     */
+    interpolation: Interpolation;
+    /** Only `snap: true` anchors start sections for {@link activeSection}. */
+    sectionSnapOnly: boolean;
+    /**
+     * Snapping after input other than the wheel. `distance: null` uses
+     * `wheel.snap`.
+     * @type {{ distance: number | null, scroll: boolean, keyboard: boolean, touch: boolean, idle: number }}
+     */
+    snapAfter: {
+        distance: number | null;
+        scroll: boolean;
+        keyboard: boolean;
+        touch: boolean;
+        idle: number;
+    };
     set enabled(v: boolean);
     /** Whether synchronization is active. */
     get enabled(): boolean;
     wheel: {
         smooth: number;
+        halfLife: number;
+        friction: number;
+        stiffness: number;
         snap: number;
         brake: {
             factor: number;
@@ -59,20 +145,177 @@ export class DualScrollSync {
     };
     /** Current virtual-axis scroll position (px). Read-only. */
     get vCurrent(): number;
-    /** Mark the scroll map for rebuild on next access. */
+    /**
+     * The section under the alignment line: the last anchor at or before
+     * `vCurrent`, with the progress towards the next one (or the end). Null
+     * above the first anchor.
+     * @type {ActiveSection | null}
+     */
+    get activeSection(): ActiveSection | null;
+    /**
+     * Pane-A content position of the caret being followed, or null.
+     * Read-only; set with `followCaret()`.
+     * @type {number | null}
+     */
+    get caret(): number | null;
+    /**
+     * Correction anchors recorded by decoupled scrolling, in recording order.
+     * Each holds one content position per pane. Read-only copies.
+     * @type {MultiAnchor[]}
+     */
+    get corrections(): MultiAnchor[];
+    /**
+     * Mark the scroll map for rebuild on next access. Anchors still pending
+     * from an asynchronous `getAnchors()` are discarded when they arrive.
+     */
     invalidate(): void;
     /**
-     * Ensure the scroll map is current.
+     * Ensure the scroll map is current. When `getAnchors()` returns a
+     * promise, the previous map (or an empty one) is returned until it
+     * resolves; the map is then rebuilt and the panes re-synced.
      * @returns {MapData}
      */
     ensureMap(): MapData;
     /**
-     * Scroll both panes to a virtual-axis position.
+     * Replace the anchors whose pane-A position lies in `[fromA, toA]` with
+     * `anchors` and update the map in place of a full rebuild. Only the
+     * segments around the range are recomputed; the result is identical to
+     * rebuilding from the patched anchor list. The anchor list and later
+     * segments are still copied, so this saves the sort and conflict
+     * resolution, not the linear pass. `getAnchors()` is not called.
+     *
+     * @param {number} fromA - Start of the pane-A range (px, inclusive).
+     * @param {number} toA - End of the pane-A range (px, inclusive).
+     * @param {Array<Anchor | MultiAnchor>} anchors - Replacement anchors.
+     * @returns {MapData}
+     */
+    patchAnchors(fromA: number, toA: number, anchors: Array<Anchor | MultiAnchor>): MapData;
+    /**
+     * Scroll all panes to a virtual-axis position, instantly or animated.
+     * Cancels wheel momentum, snapping and any earlier animation.
+     *
+     * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+     * @param {ScrollToOptions} [opts]
+     * @returns {Promise<boolean>} Resolves `true` on arrival, or `false` when
+     *   wheel, keyboard, touch or native scroll input, another `scrollTo()`,
+     *   disabling or `destroy()` interrupts the animation.
+     */
+    scrollTo(v: number, opts?: ScrollToOptions): Promise<boolean>;
+    /**
+     * Scroll to an anchor so it sits at `alignOffset` in every pane.
+     *
+     * @param {string | number} idOrIndex - The anchor's `id`, or its index in
+     *   the array returned by `getAnchors()`.
+     * @param {ScrollToOptions} [opts]
+     * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+     *   the anchor is unknown or was dropped from the map.
+     */
+    scrollToAnchor(idOrIndex: string | number, opts?: ScrollToOptions): Promise<boolean>;
+    /**
+     * Scroll to the first anchor after the current position (or after the
+     * target of a scroll already in progress).
+     * @param {AnchorScrollOptions} [opts]
+     * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+     *   there is no later anchor.
+     */
+    nextAnchor(opts?: AnchorScrollOptions): Promise<boolean>;
+    /**
+     * Scroll to the last anchor before the current position (or before the
+     * target of a scroll already in progress).
+     * @param {AnchorScrollOptions} [opts]
+     * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+     *   there is no earlier anchor.
+     */
+    prevAnchor(opts?: AnchorScrollOptions): Promise<boolean>;
+    /**
+     * Pane-B content position corresponding to a pane-A one, e.g. to
+     * highlight the preview block under the editor's cursor.
+     * @param {number} px - Pane-A content position (px). Clamped to [0, scrollMax].
+     * @returns {number}
+     */
+    mapAToB(px: number): number;
+    /**
+     * Pane-A content position corresponding to a pane-B one.
+     * @param {number} px - Pane-B content position (px). Clamped to [0, scrollMax].
+     * @returns {number}
+     */
+    mapBToA(px: number): number;
+    /**
+     * Virtual-axis position of a pane-A position.
+     * @param {number} px - Pane-A content position (px). Clamped to [0, scrollMax].
+     * @returns {number}
+     */
+    vFromA(px: number): number;
+    /**
+     * Virtual-axis position of a pane-B position.
+     * @param {number} px - Pane-B content position (px). Clamped to [0, scrollMax].
+     * @returns {number}
+     */
+    vFromB(px: number): number;
+    /**
+     * Pane-A content position at a virtual-axis position.
+     * `aFromV(vCurrent)` is the content shown at `alignOffset`.
+     * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+     * @returns {number}
+     */
+    aFromV(v: number): number;
+    /**
+     * Pane-B content position at a virtual-axis position.
      * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+     * @returns {number}
      */
-    scrollTo(v: number): void;
+    bFromV(v: number): number;
     /** Remove all event listeners and timers. Safe to call multiple times. */
     destroy(): void;
+    /**
+     * Align the other panes to the caret instead of the alignment line:
+     * while the caret at pane-A content position `aPx` is inside pane A's
+     * viewport, the content mapped from it sits at the same viewport offset
+     * in every other pane. Pane A is not moved. Call again whenever the
+     * caret moves; `null` stops following and re-aligns to `alignOffset`.
+     * @param {number | null} aPx
+     */
+    followCaret(aPx: number | null): void;
+    /**
+     * Remove all correction anchors and re-align the panes to the leading
+     * pane under the plain `getAnchors()` map.
+     */
+    clearCorrections(): void;
+    /**
+     * Subscribe to an event. Handlers run after the matching `onSync` /
+     * `onMapBuilt` / `onError` option; exceptions they throw are swallowed.
+     *
+     * @template {keyof SyncEventMap} K
+     * @param {K} type
+     * @param {(payload: SyncEventMap[K]) => void} handler
+     * @returns {() => void} Removes the handler again.
+     */
+    on<K extends keyof SyncEventMap>(type: K, handler: (payload: SyncEventMap[K]) => void): () => void;
+    /**
+     * Remove a handler added with {@link on}.
+     *
+     * @template {keyof SyncEventMap} K
+     * @param {K} type
+     * @param {(payload: SyncEventMap[K]) => void} handler
+     */
+    off<K extends keyof SyncEventMap>(type: K, handler: (payload: SyncEventMap[K]) => void): void;
     #private;
 }
 export default DualScrollSync;
+/**
+ * A normalised map point: rounded, clamped per-pane positions plus the
+ * fields carried from its source anchor (absent on the fixed end points).
+ */
+export type MapPoint = {
+    p: number[];
+    snap?: boolean | undefined;
+    id?: string | undefined;
+    /**
+     * - Position in the input anchor array.
+     */
+    index?: number | undefined;
+    weight?: number | undefined;
+    snapRange?: number | undefined;
+    brakeFactor?: number | undefined;
+    brakeZone?: number | undefined;
+};
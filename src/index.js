@@ -1,27 +1,51 @@
 /**
  * dual-scroll-sync v0.6.0
  *
- * Synchronized scrolling for two panes with different content heights.
+ * Synchronized scrolling for two or more panes with different content heights.
  *
- * Each segment's virtual length is `vS = max(aS, bS)` — the pane with
- * more content scrolls at normal speed; the other follows proportionally.
- * Wheel input moves along the virtual axis in pixels: one notch moves
- * the dominant pane exactly `deltaY` pixels, like normal browser scrolling.
+ * Each segment's virtual length is `vS = max(aS, bS)` by default — the
+ * pane with more content scrolls at normal speed; the others follow
+ * proportionally. The `segmentLength` option picks another length.
+ * Wheel input moves along the virtual axis in pixels: with the default,
+ * one notch moves the dominant pane exactly `deltaY` pixels, like normal
+ * browser scrolling.
  *
  * @module dual-scroll-sync
  * @version 0.6.0
  * @license MIT
  */
 
+/** @typedef {import('./types.js').AnchorBase} AnchorBase */
 /** @typedef {import('./types.js').Anchor} Anchor */
+/** @typedef {import('./types.js').MultiAnchor} MultiAnchor */
 /** @typedef {import('./types.js').Segment} Segment */
 /** @typedef {import('./types.js').AxisPos} AxisPos */
 /** @typedef {import('./types.js').AxisSize} AxisSize */
 /** @typedef {import('./types.js').MapData} MapData */
+/** @typedef {import('./types.js').AnchorDiagnostic} AnchorDiagnostic */
+/** @typedef {import('./types.js').AnchorIssue} AnchorIssue */
 /** @typedef {import('./types.js').ScrollPane} ScrollPane */
+/** @typedef {import('./types.js').ScrollAxis} ScrollAxis */
 /** @typedef {import('./types.js').WheelBrakeOptions} WheelBrakeOptions */
 /** @typedef {import('./types.js').WheelOptions} WheelOptions */
 /** @typedef {import('./types.js').SyncOptions} SyncOptions */
+/** @typedef {import('./types.js').ScrollToOptions} ScrollToOptions */
+/** @typedef {import('./types.js').AnchorScrollOptions} AnchorScrollOptions */
+/** @typedef {import('./types.js').SyncEvent} SyncEvent */
+/** @typedef {import('./types.js').SnapEvent} SnapEvent */
+/** @typedef {import('./types.js').SnapEndEvent} SnapEndEvent */
+/** @typedef {import('./types.js').SyncEventMap} SyncEventMap */
+/** @typedef {import('./types.js').ActiveSection} ActiveSection */
+/** @typedef {import('./types.js').SyncDirection} SyncDirection */
+/** @typedef {import('./types.js').DecoupleKey} DecoupleKey */
+/** @typedef {import('./types.js').AlignOffset} AlignOffset */
+/** @typedef {import('./types.js').SegmentLength} SegmentLength */
+/** @typedef {import('./types.js').Interpolation} Interpolation */
+/** @typedef {import('./types.js').WheelMotion} WheelMotion */
+/** @typedef {import('./types.js').WheelMotionContext} WheelMotionContext */
+/** @typedef {import('./types.js').SnapAfterOptions} SnapAfterOptions */
+/** @typedef {import('./types.js').AnchorTuning} AnchorTuning */
+/** @typedef {import('./types.js').BuildMapOptions} BuildMapOptions */
 
 // ─── Pump threshold ───
 
@@ -34,6 +58,43 @@ const ECHO_GUARD_PX = 3;
 /** Approximate pixels per line for deltaMode=1 (DOM_DELTA_LINE) conversion. */
 const PIXELS_PER_LINE = 16;
 
+/** Virtual px per arrow-key press (Chromium's keyboard line step). */
+const KEY_LINE_PX = 40;
+
+/** Reference frame duration (ms) that per-frame rates are defined against. */
+const FRAME_MS = 1000 / 60;
+
+/** Default `wheel.smooth`; also the snap glide's rate while it is 0. */
+const DEFAULT_SMOOTH = 0.1;
+
+/** Release velocity (virtual px/ms) below which a touch drag does not fling. */
+const MIN_FLING_VELOCITY = 0.05;
+
+/** Native scrolling counts as settled after this long (ms) without scroll
+ *  events, where `scrollend` is not supported. */
+const SETTLE_IDLE_MS = 150;
+
+/** A finger held still this long (ms) before lifting cancels the fling. */
+const FLING_IDLE_MS = 100;
+
+/** Default `scrollTo()` animation length (ms) with `behavior: "smooth"`. */
+const SCROLL_DURATION_MS = 300;
+
+/** Distance (virtual px) within which the current position counts as
+ *  being at an anchor for `nextAnchor()` / `prevAnchor()`. */
+const ANCHOR_TOLERANCE_PX = 1;
+
+/** Weight of correction anchors: they win any conflict with ordinary anchors. */
+const CORRECTION_WEIGHT = 1e9;
+
+/** Event property for each `decoupleKey` value. */
+const MODIFIER_PROP = /** @type {const} */ ({
+  alt: "altKey", shift: "shiftKey", ctrl: "ctrlKey", meta: "metaKey",
+});
+
+/** Pointer events handled when `touch` is enabled. */
+const POINTER_EVENTS = /** @type {const} */ (["pointerdown", "pointermove", "pointerup", "pointercancel"]);
+
 // ─── Helpers ───
 
 /** Invoke a callback safely, swallowing any exception it throws.
@@ -44,177 +105,984 @@ function callSafe(fn, arg) {
   try { if (fn) fn(arg); } catch (_) { /* user callback error */ }
 }
 
+/**
+ * Default `scrollTo()` easing: cubic ease-in-out.
+ * @param {number} t - Progress in [0, 1].
+ * @returns {number}
+ */
+function easeInOutCubic(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
 // ─── Axis helpers ───
 
 /** @type {Readonly<Record<AxisPos, AxisSize>>} */
 const SIZE_KEY = { aPx: "aS", bPx: "bS", vPx: "vS" };
 
+/**
+ * Start position of a segment on an axis.
+ * @param {Segment} seg
+ * @param {AxisPos | number} axis - Axis key, or pane index.
+ * @returns {number}
+ */
+function posOf(seg, axis) {
+  if (typeof axis !== "number") return seg[axis];
+  if (seg.px) return seg.px[axis];
+  return axis === 0 ? seg.aPx : seg.bPx;
+}
+
+/**
+ * Length of a segment on an axis.
+ * @param {Segment} seg
+ * @param {AxisPos | number} axis - Axis key, or pane index.
+ * @returns {number}
+ */
+function sizeOf(seg, axis) {
+  if (typeof axis !== "number") return seg[SIZE_KEY[axis]];
+  if (seg.s) return seg.s[axis];
+  return axis === 0 ? seg.aS : seg.bS;
+}
+
+/**
+ * Whether a horizontally scrolling pane starts at its right edge and so
+ * reports scrollLeft as 0 → negative (RTL text or vertical-rl writing mode).
+ * @param {ScrollPane} pane
+ * @returns {boolean}
+ */
+function isReversedX(pane) {
+  const getStyle = globalThis.getComputedStyle;
+  if (typeof getStyle !== "function") return false;
+  try {
+    const style = getStyle(/** @type {Element} */ (/** @type {unknown} */ (pane)));
+    const mode = style.writingMode;
+    if (mode === "vertical-rl" || mode === "sideways-rl") return true;
+    if (mode === "vertical-lr" || mode === "sideways-lr") return false;
+    return style.direction === "rtl";
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Whether an event target accepts text input, so keys must not be hijacked.
+ * @param {EventTarget | null} target
+ * @returns {boolean}
+ */
+function isEditable(target) {
+  const el = /** @type {HTMLElement | null} */ (target);
+  if (!el) return false;
+  if (el.isContentEditable) return true;
+  const tag = el.tagName;
+  return tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT";
+}
+
+/**
+ * Per-pane positions of an anchor.
+ * @param {Anchor | MultiAnchor} e
+ * @returns {number[]}
+ */
+function anchorPositions(e) {
+  return "px" in e ? e.px : [e.aPx, e.bPx];
+}
+
 // ─── Core ───
 
+/** Built-in `segmentLength` policies. */
+const SEGMENT_LENGTHS = /** @type {const} */ ({
+  max: (/** @type {number[]} */ s) => Math.max(...s),
+  a: (/** @type {number[]} */ s) => s[0],
+  b: (/** @type {number[]} */ s) => s[1],
+  sum: (/** @type {number[]} */ s) => s.reduce((t, x) => t + x, 0),
+});
+
+/**
+ * Resolve a `segmentLength` policy to a function of the per-pane lengths.
+ * @param {SegmentLength | undefined} policy
+ * @returns {(s: number[]) => number}
+ */
+function lengthPolicy(policy) {
+  if (typeof policy === "function") return policy;
+  const name = policy ?? "max";
+  if (!Object.hasOwn(SEGMENT_LENGTHS, name)) {
+    throw new RangeError(`Unknown segmentLength policy "${name}"`);
+  }
+  return SEGMENT_LENGTHS[name];
+}
+
+/**
+ * A normalised map point: rounded, clamped per-pane positions plus the
+ * fields carried from its source anchor (absent on the fixed end points).
+ * @typedef {object} MapPoint
+ * @property {number[]} p
+ * @property {boolean} [snap]
+ * @property {string} [id]
+ * @property {number} [index] - Position in the input anchor array.
+ * @property {number} [weight]
+ * @property {number} [snapRange]
+ * @property {number} [brakeFactor]
+ * @property {number} [brakeZone]
+ */
+
+/**
+ * The snap and brake overrides of an anchor, map point or segment,
+ * keeping only usable values.
+ * @param {AnchorTuning} e
+ * @returns {AnchorTuning}
+ */
+function tuningOf(e) {
+  /** @type {AnchorTuning} */
+  const out = {};
+  const { snapRange, brakeFactor, brakeZone } = e;
+  if (typeof snapRange === "number" && snapRange >= 0 && isFinite(snapRange)) out.snapRange = snapRange;
+  if (typeof brakeFactor === "number" && isFinite(brakeFactor)) out.brakeFactor = brakeFactor;
+  if (typeof brakeZone === "number" && brakeZone >= 0 && isFinite(brakeZone)) out.brakeZone = brakeZone;
+  return out;
+}
+
 /**
  * Build a virtual-axis scroll map from anchors.
  *
+ * @overload
  * @param {Anchor[]} anchors
  * @param {number} sMaxA - scrollHeight − clientHeight of pane A.
  * @param {number} sMaxB - scrollHeight − clientHeight of pane B.
+ * @param {BuildMapOptions} [opts]
+ * @returns {MapData}
+ */
+/**
+ * Build a virtual-axis scroll map for any number of panes. Segments carry
+ * per-pane `px`/`s` arrays; `aPx`/`bPx` mirror panes 0 and 1.
+ *
+ * @overload
+ * @param {Array<Anchor | MultiAnchor>} anchors
+ * @param {number[]} sMax - scrollHeight − clientHeight of each pane.
+ * @param {BuildMapOptions} [opts]
+ * @returns {MapData}
+ */
+/**
+ * @param {Array<Anchor | MultiAnchor>} anchors
+ * @param {number | number[]} sMaxA
+ * @param {number | BuildMapOptions} [sMaxB]
+ * @param {BuildMapOptions} [opts]
  * @returns {MapData}
  */
-export function buildMap(anchors, sMaxA, sMaxB) {
-  sMaxA = Math.max(0, sMaxA);
-  sMaxB = Math.max(0, sMaxB);
-  const sorted = anchors
-    .map((e) => ({
-      aPx: Math.max(0, Math.min(sMaxA, Math.round(e.aPx))),
-      bPx: Math.max(0, Math.min(sMaxB, Math.round(e.bPx))),
+export function buildMap(anchors, sMaxA, sMaxB, opts) {
+  const multi = Array.isArray(sMaxA);
+  if (multi) opts = /** @type {BuildMapOptions | undefined} */ (sMaxB);
+  const length = lengthPolicy(opts?.segmentLength);
+  const sMax = (multi ? sMaxA : [sMaxA, /** @type {number | undefined} */ (sMaxB) ?? 0])
+    .map((s) => Math.max(0, s));
+  /** @type {number[]} */
+  const dropped = [];
+  /** @type {AnchorDiagnostic[]} */
+  const diagnostics = [];
+  /** @type {MapPoint[]} */
+  const sorted = [];
+  anchors.forEach((e, index) => {
+    const raw = anchorPositions(e);
+    const bad = sMax.findIndex((_, i) => !Number.isFinite(raw[i]));
+    if (bad >= 0) {
+      dropped.push(index);
+      diagnostics.push({ index, reason: "non-finite", pane: bad });
+      return;
+    }
+    const p = sMax.map((m, i) => {
+      const x = Math.round(raw[i]);
+      if (x >= 0 && x <= m) return x;
+      diagnostics.push({ index, reason: "clamped", pane: i });
+      return x < 0 ? 0 : m;
+    });
+    // p[0] = 0 coincides with the origin point, which always wins.
+    if (p[0] <= 0) {
+      dropped.push(index);
+      diagnostics.push({ index, reason: "duplicate", pane: 0 });
+      return;
+    }
+    const w = e.weight;
+    sorted.push({
+      p,
       snap: e.snap,
-    }))
-    .sort((x, y) => x.aPx - y.aPx);
+      id: e.id,
+      index,
+      weight: typeof w === "number" && w > 0 && isFinite(w) ? w : 1,
+      ...tuningOf(e),
+    });
+  });
+  sorted.sort((x, y) => x.p[0] - y.p[0]);
 
-  /** @type {Anchor[]} */
-  const pts = [{ aPx: 0, bPx: 0 }];
-  let lastB = 0;
-  let droppedCount = 0;
+  const keep = heaviestChain(sorted);
+  /** @type {MapPoint[]} */
+  const pts = [{ p: sMax.map(() => 0) }];
   for (let i = 0; i < sorted.length; i++) {
-    const e = sorted[i];
-    if (e.bPx >= lastB && e.aPx > pts[pts.length - 1].aPx) {
-      pts.push(e);
-      lastB = e.bPx;
-    } else {
-      droppedCount++;
-    }
+    if (keep[i]) pts.push(sorted[i]);
   }
-  pts.push({ aPx: sMaxA, bPx: sMaxB });
+  // A dropped anchor sharing pane A's position with a kept one is a
+  // duplicate; anything else lost to the chain was out of order.
+  const keptA = new Set(pts.map((pt) => pt.p[0]));
+  for (let i = 0; i < sorted.length; i++) {
+    if (keep[i]) continue;
+    const index = /** @type {number} */ (sorted[i].index);
+    dropped.push(index);
+    diagnostics.push(keptA.has(sorted[i].p[0])
+      ? { index, reason: "duplicate", pane: 0 }
+      : { index, reason: "non-monotonic" });
+  }
+  pts.push({ p: sMax });
+  dropped.sort((x, y) => x - y);
+  diagnostics.sort((x, y) => x.index - y.index);
+
+  const map = toSegments(pts, 0, multi, length);
+  const last = map[map.length - 1];
+
+  return {
+    segments: map,
+    vTotal: last.vPx + last.vS,
+    droppedCount: dropped.length,
+    dropped,
+    diagnostics,
+    hasSnap: map.some((seg) => seg.snap),
+  };
+}
 
-  let vCum = 0;
-  const map = [];
-  let hasSnap = false;
+/**
+ * Turn consecutive map points into segments, the first starting at `vPx`.
+ * A policy length that is negative or not finite, or zero while some pane
+ * has content in the segment, falls back to the longest pane length so
+ * every position stays reachable.
+ *
+ * @param {MapPoint[]} pts
+ * @param {number} vPx - Virtual position of the first point.
+ * @param {boolean} multi - Add per-pane `px`/`s` arrays.
+ * @param {(s: number[]) => number} length - Virtual length from pane lengths.
+ * @returns {Segment[]}
+ */
+function toSegments(pts, vPx, multi, length) {
+  const out = [];
   for (let i = 0; i < pts.length - 1; i++) {
-    const aS = pts[i + 1].aPx - pts[i].aPx;
-    const bS = pts[i + 1].bPx - pts[i].bPx;
-    const vS = Math.max(aS, bS);
+    const p = pts[i].p;
+    const s = p.map((x, k) => pts[i + 1].p[k] - x);
+    const longest = Math.max(...s);
+    const want = length(s.slice());
+    const vS = isFinite(want) && want > 0 ? want : longest;
     /** @type {Segment} */
-    const seg = { aPx: pts[i].aPx, bPx: pts[i].bPx, vPx: vCum, aS, bS, vS };
-    if (pts[i].snap) { seg.snap = true; hasSnap = true; }
-    map.push(seg);
-    vCum += vS;
+    const seg = { aPx: p[0], bPx: p[1], vPx, aS: s[0], bS: s[1], vS };
+    if (multi) { seg.px = p; seg.s = s; }
+    if (pts[i].snap) seg.snap = true;
+    if (pts[i].id !== undefined) seg.id = pts[i].id;
+    Object.assign(seg, tuningOf(pts[i]));
+    out.push(seg);
+    vPx += vS;
+  }
+  return out;
+}
+
+/**
+ * Replace a run of anchors in a map without rebuilding it: only the
+ * segments around the run are recomputed, and the tail is shifted along
+ * the virtual axis. Sorting and chain selection are skipped, but the tail
+ * segments are still copied, so the work stays linear in the map size.
+ * Returns null whenever the result could differ from a full
+ * {@link buildMap} — the old map dropped anchors, an anchor was clamped to
+ * a pane end that has moved since, or the new anchors do not fit cleanly
+ * between their neighbours.
+ *
+ * @param {MapData} data - Map built from the anchors before the patch.
+ * @param {Array<Anchor | MultiAnchor>} removed - Anchors taken out.
+ * @param {Array<Anchor | MultiAnchor>} added - Anchors put in.
+ * @param {number[]} sMax - Current scroll maximum of each pane.
+ * @param {(s: number[]) => number} length - Policy the map was built with.
+ * @param {(index: number) => number} reindex - Input index after the patch
+ *   of an anchor kept from before it; -1 for removed anchors.
+ * @param {number} addedAt - Input index after the patch of `added[0]`.
+ * @returns {MapData | null}
+ */
+function patchMap(data, removed, added, sMax, length, reindex, addedAt) {
+  const segs = data.segments;
+  if (segs.length === 0 || data.dropped.length > 0) return null;
+  const multi = segs[0].px !== undefined;
+  /** @param {Segment} seg @returns {number[]} */
+  const pointOf = (seg) => seg.px ?? [seg.aPx, seg.bPx];
+  if (pointOf(segs[0]).length !== sMax.length) return null;
+  sMax = sMax.map((m) => Math.max(0, m));
+  const end0 = segs[segs.length - 1];
+  const oldMax = pointOf(end0).map((x, k) => x + (end0.s ? end0.s[k] : k === 0 ? end0.aS : end0.bS));
+  // A kept anchor clamped to a pane end that moved would now sit elsewhere.
+  if (data.diagnostics.length > 0 && oldMax.some((m, k) => m !== sMax[k])) return null;
+
+  /** @type {AnchorDiagnostic[]} */
+  const diagnostics = [];
+  for (const d of data.diagnostics) {
+    const index = reindex(d.index);
+    if (index >= 0) diagnostics.push({ ...d, index });
+  }
+  /** @type {MapPoint[]} */
+  const pts = [];
+  for (let n = 0; n < added.length; n++) {
+    const e = added[n];
+    const raw = anchorPositions(e);
+    if (!sMax.every((_, i) => Number.isFinite(raw[i]))) return null;
+    const p = sMax.map((m, i) => {
+      const x = Math.round(raw[i]);
+      if (x >= 0 && x <= m) return x;
+      diagnostics.push({ index: addedAt + n, reason: "clamped", pane: i });
+      return x < 0 ? 0 : m;
+    });
+    if (p[0] <= 0) return null;
+    pts.push({ p, snap: e.snap, id: e.id, ...tuningOf(e) });
+  }
+  pts.sort((x, y) => x.p[0] - y.p[0]);
+  diagnostics.sort((x, y) => x.index - y.index);
+
+  // The old map kept every anchor, so the removed ones are consecutive
+  // segments starting at the smallest removed pane-A position.
+  const first = removed.length > 0
+    ? removed.reduce((m, e) => Math.min(m, Math.min(oldMax[0], Math.round(anchorPositions(e)[0]))), Infinity)
+    : pts.length > 0 ? pts[0].p[0] : Infinity;
+  let lo = 1;
+  while (lo < segs.length && segs[lo].aPx < first) lo++;
+  const hi = lo + removed.length;
+  if (hi > segs.length) return null;
+
+  const before = segs[lo - 1];
+  /** @type {MapPoint[]} */
+  const run = [{ p: pointOf(before), snap: before.snap, id: before.id, ...tuningOf(before) }, ...pts];
+  if (hi < segs.length) run.push({ p: pointOf(segs[hi]) });
+  for (let i = 1; i < run.length; i++) {
+    const q = run[i - 1].p, p = run[i].p;
+    if (!(p[0] > q[0]) || p.some((x, k) => x < q[k])) return null;
+  }
+
+  const hasTail = hi < segs.length;
+  const mid = toSegments(hasTail ? run : [...run, { p: sMax }], before.vPx, multi, length);
+  /** @type {Segment[]} */
+  let tail = [];
+  if (hasTail) {
+    const shift = mid[mid.length - 1].vPx + mid[mid.length - 1].vS - segs[hi].vPx;
+    tail = shift === 0 ? segs.slice(hi) : segs.slice(hi).map((seg) => ({ ...seg, vPx: seg.vPx + shift }));
+    // Pane sizes may have changed with the edit, which only moves the end.
+    const last = tail[tail.length - 1];
+    tail[tail.length - 1] = toSegments([
+      { p: pointOf(last), snap: last.snap, id: last.id, ...tuningOf(last) },
+      { p: sMax },
+    ], last.vPx, multi, length)[0];
   }
 
+  const map = [...segs.slice(0, lo - 1), ...mid, ...tail];
+  const end = map[map.length - 1];
+  if (end.aS < 0 || end.bS < 0 || (end.s && end.s.some((x) => x < 0))) return null;
   return {
     segments: map,
-    vTotal: vCum,
-    droppedCount,
-    hasSnap,
+    vTotal: end.vPx + end.vS,
+    droppedCount: 0,
+    dropped: [],
+    diagnostics,
+    hasSnap: map.some((seg) => seg.snap),
   };
 }
 
+/**
+ * Choose which anchors to keep: the heaviest chain that is strictly
+ * increasing in pane 0 and non-decreasing in every other pane (a weighted
+ * longest increasing subsequence). Ties prefer earlier anchors. Two-pane
+ * input runs in O(n log n) via a prefix-max Fenwick tree over pane-1
+ * ranks; more panes fall back to O(n²) dynamic programming.
+ *
+ * @param {MapPoint[]} sorted - Anchors sorted by `p[0]`, all with `p[0] > 0`.
+ * @returns {boolean[]} Keep flag per entry of `sorted`.
+ */
+function heaviestChain(sorted) {
+  const m = sorted.length;
+  const total = new Float64Array(m);
+  const prev = new Int32Array(m).fill(-1);
+  /** @param {number} w @param {number} j @param {number} bw @param {number} bj */
+  const better = (w, j, bw, bj) => w > bw || (w === bw && j >= 0 && (bj < 0 || j < bj));
+
+  if (m > 0 && sorted[0].p.length === 2) {
+    const ranks = [...new Set(sorted.map((e) => e.p[1]))].sort((x, y) => x - y);
+    /** @type {Map<number, number>} */
+    const rankOf = new Map(ranks.map((b, r) => [b, r + 1]));
+    const treeW = new Float64Array(ranks.length + 1);
+    const treeI = new Int32Array(ranks.length + 1).fill(-1);
+    for (let g = 0; g < m;) {
+      // Anchors sharing a pane-0 position cannot chain to each other, so
+      // query the whole group before inserting any of it.
+      let end = g;
+      while (end < m && sorted[end].p[0] === sorted[g].p[0]) end++;
+      for (let i = g; i < end; i++) {
+        let bw = 0, bj = -1;
+        for (let r = /** @type {number} */ (rankOf.get(sorted[i].p[1])); r > 0; r -= r & -r) {
+          if (better(treeW[r], treeI[r], bw, bj)) { bw = treeW[r]; bj = treeI[r]; }
+        }
+        total[i] = bw + /** @type {number} */ (sorted[i].weight);
+        prev[i] = bj;
+      }
+      for (let i = g; i < end; i++) {
+        for (let r = /** @type {number} */ (rankOf.get(sorted[i].p[1])); r <= ranks.length; r += r & -r) {
+          if (better(total[i], i, treeW[r], treeI[r])) { treeW[r] = total[i]; treeI[r] = i; }
+        }
+      }
+      g = end;
+    }
+  } else {
+    for (let i = 0; i < m; i++) {
+      const p = sorted[i].p;
+      let bw = 0, bj = -1;
+      for (let j = 0; j < i; j++) {
+        const q = sorted[j].p;
+        if (q[0] >= p[0]) break;
+        let ok = true;
+        for (let k = 1; ok && k < p.length; k++) ok = q[k] <= p[k];
+        if (ok && better(total[j], j, bw, bj)) { bw = total[j]; bj = j; }
+      }
+      total[i] = bw + /** @type {number} */ (sorted[i].weight);
+      prev[i] = bj;
+    }
+  }
+
+  const keep = new Array(m).fill(false);
+  let best = -1;
+  for (let i = 0; i < m; i++) {
+    if (best < 0 || better(total[i], i, total[best], best)) best = i;
+  }
+  for (let i = best; i >= 0; i = prev[i]) keep[i] = true;
+  return keep;
+}
+
+/**
+ * @template T
+ * @param {T | PromiseLike<T>} x
+ * @returns {x is PromiseLike<T>}
+ */
+function isPromiseLike(x) {
+  return typeof (/** @type {any} */ (x))?.then === "function";
+}
+
+/**
+ * The segment starting at the identified anchor closest to `v`.
+ *
+ * @param {Segment[]} segments
+ * @param {number} v - Virtual axis position (px).
+ * @returns {Segment | null}
+ */
+function nearestIdentified(segments, v) {
+  let best = null;
+  for (const seg of segments) {
+    if (seg.id === undefined) continue;
+    if (!best || Math.abs(seg.vPx - v) < Math.abs(best.vPx - v)) best = seg;
+  }
+  return best;
+}
+
+/**
+ * Map data with no segments, used when no map can be built.
+ * @returns {MapData}
+ */
+function emptyMap() {
+  return { segments: [], vTotal: 0, droppedCount: 0, dropped: [], diagnostics: [], hasSnap: false };
+}
+
+/**
+ * Slope of an axis against the virtual axis within a segment.
+ * @param {Segment} seg
+ * @param {AxisPos | number} axis
+ * @returns {number}
+ */
+function slopeOf(seg, axis) {
+  return seg.vS > 0 ? sizeOf(seg, axis) / seg.vS : 0;
+}
+
+/**
+ * Tangent of an axis at the knot where segment `k` starts (`k` may be
+ * `segments.length` for the end). Fritsch–Carlson: the weighted harmonic
+ * mean of the neighbouring slopes, or 0 where they differ in sign, which
+ * keeps the interpolant monotone. End knots take their segment's slope.
+ * @param {Segment[]} segments
+ * @param {number} k
+ * @param {AxisPos | number} axis
+ * @returns {number}
+ */
+function knotTangent(segments, k, axis) {
+  if (k === 0) return slopeOf(segments[0], axis);
+  if (k === segments.length) return slopeOf(segments[k - 1], axis);
+  const prev = segments[k - 1], next = segments[k];
+  const d0 = slopeOf(prev, axis), d1 = slopeOf(next, axis);
+  if (d0 * d1 <= 0) return 0;
+  const w0 = 2 * next.vS + prev.vS, w1 = next.vS + 2 * prev.vS;
+  return (w0 + w1) / (w0 / d0 + w1 / d1);
+}
+
+/**
+ * Position on an axis at fraction `t` of segment `k` along the virtual
+ * axis, on the cubic Hermite curve through the segment's end points.
+ * @param {Segment[]} segments
+ * @param {number} k
+ * @param {AxisPos | number} axis
+ * @param {number} t
+ * @returns {number}
+ */
+function hermite(segments, k, axis, t) {
+  const seg = segments[k];
+  if (axis === "vPx") return seg.vPx + t * seg.vS;
+  const p0 = posOf(seg, axis), size = sizeOf(seg, axis);
+  const m0 = knotTangent(segments, k, axis) * seg.vS;
+  const m1 = knotTangent(segments, k + 1, axis) * seg.vS;
+  const t2 = t * t, t3 = t2 * t;
+  return p0 + (t3 - 2 * t2 + t) * m0 + (3 * t2 - 2 * t3) * size + (t3 - t2) * m1;
+}
+
 /**
  * Look up a position on one axis given a position on another.
- * Binary search + linear interpolation within the segment.
+ * Binary search, then interpolation within the segment: linear by
+ * default, or monotone cubic, which passes through the same anchors but
+ * changes speed smoothly across them instead of at once.
  *
  * @param {Segment[]} segments
- * @param {AxisPos} from - Source axis.
- * @param {AxisPos} to   - Target axis.
+ * @param {AxisPos | number} from - Source axis, or source pane index.
+ * @param {AxisPos | number} to   - Target axis, or target pane index.
  * @param {number} value  - Position on source axis (px). Caller must clamp
  *   to valid range; out-of-range values are extrapolated, not clamped.
+ * @param {Interpolation} [interpolation]
  * @returns {number} Position on target axis (px).
  */
-export function lookup(segments, from, to, value) {
+export function lookup(segments, from, to, value, interpolation = "linear") {
   if (segments.length === 0) return 0;
 
-  const fromS = SIZE_KEY[from];
-  const toS = SIZE_KEY[to];
-
   let lo = 0,
     hi = segments.length - 1;
   while (lo < hi) {
     const mid = (lo + hi + 1) >> 1;
-    if (segments[mid][from] <= value) lo = mid;
+    if (posOf(segments[mid], from) <= value) lo = mid;
     else hi = mid - 1;
   }
 
   const seg = segments[lo];
-  if (seg[fromS] <= 0) return seg[to];
-  const t = (value - seg[from]) / seg[fromS];
-  return seg[to] + t * seg[toS];
+  const fromS = sizeOf(seg, from);
+  if (fromS <= 0) return posOf(seg, to);
+  const t = (value - posOf(seg, from)) / fromS;
+  if (interpolation !== "monotone" || t < 0 || t > 1 || seg.vS <= 0) {
+    return posOf(seg, to) + t * sizeOf(seg, to);
+  }
+
+  // The curves are parametrised by the virtual axis; invert the source
+  // curve by bisection (it is monotone) to find the segment fraction.
+  let u = t;
+  if (from !== "vPx") {
+    let a = 0, b = 1;
+    for (let i = 0; i < 40; i++) {
+      u = (a + b) / 2;
+      if (hermite(segments, lo, from, u) < value) a = u;
+      else b = u;
+    }
+  }
+  return hermite(segments, lo, to, u);
+}
+
+// ─── Errors ───
+
+/**
+ * Reported through `onError` in strict mode when a rebuilt map has anchor
+ * diagnostics. The map is still used; this only makes the issues visible.
+ */
+export class AnchorDiagnosticsError extends Error {
+  /** @param {AnchorDiagnostic[]} diagnostics */
+  constructor(diagnostics) {
+    /** @type {Record<string, number>} */
+    const counts = {};
+    for (const d of diagnostics) counts[d.reason] = (counts[d.reason] ?? 0) + 1;
+    const summary = Object.entries(counts).map(([reason, n]) => `${n} ${reason}`).join(", ");
+    super(`Anchor issues: ${summary}`);
+    this.name = "AnchorDiagnosticsError";
+    /** Issues found by {@link buildMap}, ascending by anchor index. */
+    this.diagnostics = diagnostics;
+  }
+}
+
+// ─── Wheel motion ───
+
+/**
+ * Exponential drain: each frame covers a share of the remaining distance
+ * (`wheel.smooth` per 1/60 s, or `wheel.halfLife`).
+ * @implements {WheelMotion}
+ */
+class DrainMotion {
+  /** @type {(dt: number) => number} */
+  #rate;
+  remaining = 0;
+
+  /** @param {(dt: number) => number} rate - Share to drain over `dt` ms. */
+  constructor(rate) {
+    this.#rate = rate;
+  }
+
+  /** @param {number} delta */
+  add(delta) {
+    this.remaining += delta;
+  }
+
+  /**
+   * Size the distance so the first frame moves at `velocity`.
+   * @param {number} velocity
+   */
+  fling(velocity) {
+    this.add((velocity * FRAME_MS) / this.#rate(FRAME_MS));
+  }
+
+  /**
+   * @param {number} dt
+   * @param {WheelMotionContext} [_ctx]
+   */
+  step(dt, _ctx) {
+    const drain = this.remaining * this.#rate(dt);
+    this.remaining -= drain;
+    return drain;
+  }
+
+  reset() {
+    this.remaining = 0;
+  }
+}
+
+/**
+ * Inertia under constant friction: the remaining distance sets the speed
+ * (`√(2·friction·distance)`), which then falls linearly to rest exactly
+ * at the target.
+ * @implements {WheelMotion}
+ */
+class InertiaMotion {
+  /** @type {() => number} */
+  #friction;
+  remaining = 0;
+
+  /** @param {() => number} friction - Deceleration (virtual px/s²). */
+  constructor(friction) {
+    this.#friction = friction;
+  }
+
+  /** @param {number} delta */
+  add(delta) {
+    this.remaining += delta;
+  }
+
+  /**
+   * Add the distance covered when decelerating from `velocity` to rest.
+   * @param {number} velocity
+   */
+  fling(velocity) {
+    const a = this.#friction() / 1e6;
+    this.add((Math.sign(velocity) * velocity * velocity) / (2 * a));
+  }
+
+  /**
+   * @param {number} dt
+   * @param {WheelMotionContext} [_ctx]
+   */
+  step(dt, _ctx) {
+    const a = this.#friction() / 1e6;
+    const dist = Math.abs(this.remaining);
+    const speed = Math.max(0, Math.sqrt(2 * a * dist) - a * dt);
+    const step = Math.sign(this.remaining) * (dist - (speed * speed) / (2 * a));
+    this.remaining -= step;
+    return step;
+  }
+
+  reset() {
+    this.remaining = 0;
+  }
+}
+
+/**
+ * Critically damped spring pulling the position towards a target that
+ * input moves: starts gently, settles without overshoot.
+ * @implements {WheelMotion}
+ */
+class SpringMotion {
+  /** @type {() => number} */
+  #stiffness;
+  /** Offset from the target (virtual px). */
+  #x = 0;
+  /** Velocity (virtual px/ms). */
+  #u = 0;
+
+  /** @param {() => number} stiffness - Spring constant (1/s²). */
+  constructor(stiffness) {
+    this.#stiffness = stiffness;
+  }
+
+  get remaining() {
+    return -this.#x;
+  }
+
+  /** @param {number} delta */
+  add(delta) {
+    this.#x -= delta;
+  }
+
+  /**
+   * Move at `velocity` now, gliding to a target placed so the spring
+   * decays towards it without speeding up first.
+   * @param {number} velocity
+   */
+  fling(velocity) {
+    const w = Math.sqrt(this.#stiffness()) / 1000;
+    this.#u += velocity;
+    this.#x -= velocity / w;
+  }
+
+  /**
+   * @param {number} dt
+   * @param {WheelMotionContext} [_ctx]
+   */
+  step(dt, _ctx) {
+    const w = Math.sqrt(this.#stiffness()) / 1000;
+    const x0 = this.#x, u0 = this.#u;
+    const c = u0 + w * x0;
+    const decay = Math.exp(-w * dt);
+    this.#x = (x0 + c * dt) * decay;
+    this.#u = (u0 - w * c * dt) * decay;
+    return this.#x - x0;
+  }
+
+  reset() {
+    this.#x = 0;
+    this.#u = 0;
+  }
 }
 
 // ─── Controller ───
 
 /**
- * Synchronized scrolling controller for two scrollable elements.
+ * Synchronized scrolling controller for two or more scrollable elements.
  *
  * @example
  * const sync = new DualScrollSync(editor, preview, {
  *   getAnchors: () => headingAnchors(),
  *   wheel: { smooth: 0.08, snap: 60, brake: { factor: 0.2, zone: 100 } },
  * });
+ *
+ * @example
+ * const sync = new DualScrollSync([editor, preview, outline], {
+ *   getAnchors: () => headings.map((h) => ({ px: [h.editorPx, h.previewPx, h.outlinePx] })),
+ * });
  */
 export class DualScrollSync {
-  /** @type {(callback: () => void) => number} */
+  /** @type {(callback: (time?: number) => void) => number} */
   #requestFrame;
   /** @type {(id: number) => void} */
   #cancelFrame;
   /** @type {MapData | null} */
   #data = null;
   #dirty = true;
+  /** Bumped whenever pending asynchronous anchors become stale. */
+  #generation = 0;
+  /** Anchors the current map was built from. @type {Array<Anchor | MultiAnchor>} */
+  #anchors = [];
   #vCurrent = 0;
-  /** @type {number | null} */
-  #expectedA = null;
-  /** @type {number | null} */
-  #expectedB = null;
-  #wheelRemaining = 0;
+  /** Expected scroll position per pane after a programmatic write. @type {(number | null)[]} */
+  #expected;
+  /** Scroll axis per pane. @type {ScrollAxis[]} */
+  #axes;
+  /** Per-pane flag for the negative scrollLeft convention. @type {boolean[]} */
+  #reversed;
+  /** Wheel motion model driving the pump. @type {WheelMotion} */
+  #motion;
   /** @type {number | null} */
   #pumpRafId = null;
+  /** Timestamp of the pump's previous frame. @type {number | null} */
+  #pumpTime = null;
+  /** scrollTo animation in progress. @type {{ resolve: (arrived: boolean) => void, rafId: number | null, target: number } | null} */
+  #animation = null;
   #snapping = false;
+  #snapTarget = 0;
+  /** Absolute position the pump heads for (Home/End), or null. @type {number | null} */
+  #feedTarget = null;
+  /** Pane that received the input driving the pump. @type {number | null} */
+  #inputSource = null;
+  /** Virtual length policy for map segments. @type {SegmentLength} */
+  #segmentLength = "max";
+  /** Pane-A caret position passed to `followCaret()`. @type {number | null} */
+  #caret = null;
+  /** Correction anchors recorded by decoupled scrolling. @type {MultiAnchor[]} */
+  #corrections = [];
+  /** Correction being updated by the current decoupled gesture. @type {MultiAnchor | null} */
+  #decoupled = null;
+  /** Identity (`id`, else input index) of the last reported section. @type {string | number | null} */
+  #sectionKey = null;
+  /** Last anchor index looked up for a section. @type {{ data: MapData, segment: number, index: number } | null} */
+  #indexCache = null;
+  /** Whether the pump is draining input (wheel, key, fling) momentum. */
+  #wheeling = false;
+  /** Event listeners by event type. @type {Map<string, Set<(payload: any) => void>>} */
+  #listeners = new Map();
   #applying = false;
   #destroyed = false;
   #enabled = true;
-  /** @type {() => void} */
-  #onScrollA;
-  /** @type {() => void} */
-  #onScrollB;
-  /** @type {(e: WheelEvent) => void} */
+  /** Whether #vCurrent has been established by a sync yet. */
+  #positioned = false;
+  /** @type {number | null} */
+  #rebuildRafId = null;
+  /** @type {ResizeObserver | null} */
+  #resizeObserver = null;
+  /** @type {MutationObserver | null} */
+  #mutationObserver = null;
+  /** @type {(() => void)[]} */
+  #onScroll;
+  /** @type {(() => void)[]} */
+  #onScrollEnd;
+  /** Pane whose native scroll is waiting to settle. @type {number | null} */
+  #settleSource = null;
+  /** Idle timer standing in for `scrollend`. @type {ReturnType<typeof setTimeout> | null} */
+  #settleTimer = null;
+  /** Input driving the current wheel motion. @type {"wheel" | "keyboard" | "touch"} */
+  #motionKind = "wheel";
+  /** @type {((e: WheelEvent) => void)[]} */
   #onWheel;
+  /** @type {() => void} */
+  #onContentChange;
+  /** @type {((e: KeyboardEvent) => void)[] | null} */
+  #onKey = null;
+  /** @type {((e: PointerEvent) => void)[] | null} */
+  #onPointer = null;
+  /**
+   * Active touch drag: pointer id, pane index, last coordinate along the
+   * pane's axis, last event time, and smoothed velocity (virtual px/ms).
+   * @type {{ id: number, source: number, coord: number, time: number, velocity: number } | null}
+   */
+  #drag = null;
 
   /**
+   * @overload
    * @param {ScrollPane} paneA
    * @param {ScrollPane} paneB
    * @param {SyncOptions} opts
    */
+  /**
+   * @overload
+   * @param {ScrollPane[]} panes - Two or more panes. Index 0 is pane A, 1 is pane B.
+   * @param {SyncOptions} opts
+   */
+  /**
+   * @param {ScrollPane | ScrollPane[]} paneA
+   * @param {ScrollPane | SyncOptions} paneB
+   * @param {SyncOptions} [opts]
+   */
   constructor(paneA, paneB, opts) {
-    this.paneA = paneA;
-    this.paneB = paneB;
+    /** @type {ScrollPane[]} */
+    let panes;
+    if (Array.isArray(paneA)) {
+      panes = paneA.slice();
+      opts = /** @type {SyncOptions} */ (paneB);
+    } else {
+      panes = [paneA, /** @type {ScrollPane} */ (paneB)];
+      opts = /** @type {SyncOptions} */ (opts);
+    }
+    if (panes.length < 2) throw new RangeError("DualScrollSync needs at least two panes");
+
+    /** All synchronized panes in index order (pane A, pane B, …). @type {readonly ScrollPane[]} */
+    this.panes = panes;
+    this.paneA = panes[0];
+    this.paneB = panes[1];
     this.getAnchors = opts.getAnchors;
     this.onSync = opts.onSync || null;
     this.onMapBuilt = opts.onMapBuilt || null;
     this.onError = opts.onError || null;
+    /**
+     * Viewport offset of the alignment line: px, a `"30%"` share of the
+     * viewport, a function evaluated on each sync, or one per pane.
+     * @type {AlignOffset | AlignOffset[]}
+     */
     this.alignOffset = opts.alignOffset ?? 0;
+    /** Report anchor diagnostics through `onError` after each rebuild. */
+    this.strict = !!opts.strict;
+    /**
+     * Which panes user input may drive. Panes that do not lead scroll
+     * natively without moving the others, and follow the leader.
+     * @type {SyncDirection}
+     */
+    this.direction = opts.direction ?? "both";
+    /**
+     * Modifier that scrolls the pane under the pointer alone and records
+     * the result as a correction anchor. Null disables decoupling.
+     * @type {DecoupleKey | null}
+     */
+    this.decoupleKey = opts.decoupleKey ?? null;
+    /**
+     * How positions are interpolated between anchors.
+     * @type {Interpolation}
+     */
+    this.interpolation = opts.interpolation ?? "linear";
+    /** Only `snap: true` anchors start sections for {@link activeSection}. */
+    this.sectionSnapOnly = !!opts.sectionSnapOnly;
+    const after = opts.snapAfter;
+    /**
+     * Snapping after input other than the wheel. `distance: null` uses
+     * `wheel.snap`.
+     * @type {{ distance: number | null, scroll: boolean, keyboard: boolean, touch: boolean, idle: number }}
+     */
+    this.snapAfter = {
+      distance: after?.distance ?? null,
+      scroll: after?.scroll ?? true,
+      keyboard: after?.keyboard ?? true,
+      touch: after?.touch ?? true,
+      idle: after?.idle ?? SETTLE_IDLE_MS,
+    };
     this.enabled = true;
 
     const wh = opts.wheel;
     const brake = wh?.brake;
     const rawSmooth = wh?.smooth;
     this.wheel = {
-      smooth: typeof rawSmooth === "number" && isFinite(rawSmooth) ? rawSmooth : 0.1,
+      smooth: typeof rawSmooth === "number" && isFinite(rawSmooth) ? rawSmooth : DEFAULT_SMOOTH,
+      halfLife: wh?.halfLife ?? 0,
+      friction: wh?.friction ?? 4000,
+      stiffness: wh?.stiffness ?? 200,
       snap: wh?.snap ?? 0,
       brake: brake ? { factor: brake.factor, zone: brake.zone } : null,
     };
 
+    const motion = wh?.motion ?? "drain";
+    if (typeof motion === "object") this.#motion = motion;
+    else if (motion === "drain") this.#motion = new DrainMotion((dt) => this.#drainRate(dt));
+    else if (motion === "inertia") this.#motion = new InertiaMotion(() => this.wheel.friction);
+    else if (motion === "spring") this.#motion = new SpringMotion(() => this.wheel.stiffness);
+    else throw new RangeError(`Unknown wheel motion "${motion}"`);
+
     const raf = globalThis.requestAnimationFrame;
     const caf = globalThis.cancelAnimationFrame;
-    /** @type {(callback: () => void) => number} */
-    const fallbackRaf = (fn) => setTimeout(fn, 16);
+    /** @type {(callback: (time?: number) => void) => number} */
+    const fallbackRaf = (fn) => setTimeout(() => fn(performance.now()), 16);
     this.#requestFrame = opts.requestFrame || (raf ? raf.bind(globalThis) : fallbackRaf);
     this.#cancelFrame = opts.cancelFrame || (caf ? caf.bind(globalThis) : clearTimeout);
 
-    this.#onScrollA = () => this.#handleScroll("a");
-    this.#onScrollB = () => this.#handleScroll("b");
-    this.#onWheel = (e) => this.#onWheelEvent(e);
+    lengthPolicy(opts.segmentLength);
+    this.#segmentLength = opts.segmentLength ?? "max";
+    const axis = opts.axis ?? "y";
+    this.#axes = panes.map((_, i) => (Array.isArray(axis) ? axis[i] : axis) === "x" ? "x" : "y");
+    this.#reversed = panes.map(() => false);
+    this.#detectDirection();
+
+    this.#expected = panes.map(() => null);
+    this.#onScroll = panes.map((_, i) => () => this.#handleScroll(i));
+    this.#onScrollEnd = panes.map((_, i) => () => this.#onSettle(i));
+    this.#onWheel = panes.map((_, i) => (/** @type {WheelEvent} */ e) => this.#onWheelEvent(e, i));
+
+    this.#onContentChange = () => this.#scheduleRebuild();
+    if (opts.keyboard) {
+      this.#onKey = panes.map((_, i) => (/** @type {KeyboardEvent} */ e) => this.#onKeyEvent(e, i));
+    }
+    if (opts.touch) {
+      this.#onPointer = panes.map((_, i) => (/** @type {PointerEvent} */ e) => this.#onPointerEvent(e, i));
+    }
 
-    paneA.addEventListener("scroll", this.#onScrollA);
-    paneB.addEventListener("scroll", this.#onScrollB);
-    paneA.addEventListener("wheel", this.#onWheel, { passive: false });
-    paneB.addEventListener("wheel", this.#onWheel, { passive: false });
+    panes.forEach((pane, i) => {
+      pane.addEventListener("scroll", this.#onScroll[i]);
+      pane.addEventListener("scrollend", this.#onScrollEnd[i]);
+      pane.addEventListener("wheel", this.#onWheel[i], { passive: false });
+      if (this.#onKey) pane.addEventListener("keydown", this.#onKey[i]);
+      if (this.#onPointer) {
+        for (const type of POINTER_EVENTS) pane.addEventListener(type, this.#onPointer[i]);
+      }
+    });
+    if (opts.autoInvalidate) this.#observe();
   }
 
   /** Current virtual-axis scroll position (px). Read-only. */
@@ -222,119 +1090,863 @@ export class DualScrollSync {
     return this.#vCurrent;
   }
 
+  /**
+   * The section under the alignment line: the last anchor at or before
+   * `vCurrent`, with the progress towards the next one (or the end). Null
+   * above the first anchor.
+   * @type {ActiveSection | null}
+   */
+  get activeSection() {
+    return this.#section();
+  }
+
+  /**
+   * Pane-A content position of the caret being followed, or null.
+   * Read-only; set with `followCaret()`.
+   * @type {number | null}
+   */
+  get caret() {
+    return this.#caret;
+  }
+
+  /**
+   * Correction anchors recorded by decoupled scrolling, in recording order.
+   * Each holds one content position per pane. Read-only copies.
+   * @type {MultiAnchor[]}
+   */
+  get corrections() {
+    return this.#corrections.map((c) => ({ px: c.px.slice() }));
+  }
+
   /** Whether synchronization is active. */
   get enabled() { return this.#enabled; }
   set enabled(v) {
     this.#enabled = !!v;
     if (!this.#enabled) {
-      this.#wheelRemaining = 0;
-      this.#snapping = false;
-      if (this.#pumpRafId !== null) {
-        this.#cancelFrame(this.#pumpRafId);
-        this.#pumpRafId = null;
-      }
+      this.#stopPump();
+      this.#drag = null;
+      this.#settleSource = null;
+      if (this.#settleTimer !== null) clearTimeout(this.#settleTimer);
+      this.#settleTimer = null;
     }
   }
 
-  /** Mark the scroll map for rebuild on next access. */
+  /**
+   * Mark the scroll map for rebuild on next access. Anchors still pending
+   * from an asynchronous `getAnchors()` are discarded when they arrive.
+   */
   invalidate() {
     if (this.#destroyed) return;
     this.#dirty = true;
+    this.#generation++;
   }
 
   /**
-   * Ensure the scroll map is current.
+   * Ensure the scroll map is current. When `getAnchors()` returns a
+   * promise, the previous map (or an empty one) is returned until it
+   * resolves; the map is then rebuilt and the panes re-synced.
    * @returns {MapData}
    */
   ensureMap() {
-    if (this.#destroyed) return { segments: [], vTotal: 0, droppedCount: 0, hasSnap: false };
+    if (this.#destroyed) return emptyMap();
     if (this.#dirty || !this.#data) {
-      const sA = Math.max(0, this.paneA.scrollHeight - this.paneA.clientHeight);
-      const sB = Math.max(0, this.paneB.scrollHeight - this.paneB.clientHeight);
-      try {
-        this.#data = buildMap(this.getAnchors(), sA, sB);
-      } catch (err) {
-        this.#data = { segments: [], vTotal: 0, droppedCount: 0, hasSnap: false };
-        callSafe(this.onError, err);
-      }
-      this.#dirty = false;
-      callSafe(this.onMapBuilt, this.#data);
+      const generation = this.#generation;
+      this.#rebuild((sMax) => {
+        const anchors = this.getAnchors();
+        if (!isPromiseLike(anchors)) {
+          this.#anchors = anchors;
+          return this.#buildFull(sMax);
+        }
+        anchors.then(
+          (list) => this.#settle(generation, list),
+          (err) => {
+            if (!this.#destroyed && generation === this.#generation) this.#emit("error", err);
+          },
+        );
+        return null;
+      });
     }
-    return this.#data;
+    return /** @type {MapData} */ (this.#data);
   }
 
   /**
-   * Scroll both panes to a virtual-axis position.
-   * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+   * Replace the anchors whose pane-A position lies in `[fromA, toA]` with
+   * `anchors` and update the map in place of a full rebuild. Only the
+   * segments around the range are recomputed; the result is identical to
+   * rebuilding from the patched anchor list. The anchor list and later
+   * segments are still copied, so this saves the sort and conflict
+   * resolution, not the linear pass. `getAnchors()` is not called.
+   *
+   * @param {number} fromA - Start of the pane-A range (px, inclusive).
+   * @param {number} toA - End of the pane-A range (px, inclusive).
+   * @param {Array<Anchor | MultiAnchor>} anchors - Replacement anchors.
+   * @returns {MapData}
    */
-  scrollTo(v) {
-    if (this.#destroyed) return;
-    const d = this.ensureMap();
-    this.#vCurrent = Math.max(0, Math.min(d.vTotal, v));
-    this.#applyV();
+  patchAnchors(fromA, toA, anchors) {
+    if (this.#destroyed) return emptyMap();
+    const old = this.ensureMap();
+    // Anchors still pending from getAnchors() predate this patch.
+    this.#generation++;
+    return this.#rebuild((sMax) => {
+      const prev = this.#anchors;
+      /** @type {Array<Anchor | MultiAnchor>} */
+      const kept = [];
+      /** @type {Array<Anchor | MultiAnchor>} */
+      const removed = [];
+      // Position in `kept` of each anchor of `prev`, or -1 when removed.
+      const keptAt = new Array(prev.length);
+      // New anchors take the place of the first removed one, or go before
+      // the first anchor past the range.
+      let at = -1;
+      for (let i = 0; i < prev.length; i++) {
+        const x = anchorPositions(prev[i])[0];
+        if (x >= fromA && x <= toA) {
+          if (at < 0) at = kept.length;
+          removed.push(prev[i]);
+          keptAt[i] = -1;
+        } else {
+          if (removed.length === 0 && x > toA && at < 0) at = kept.length;
+          keptAt[i] = kept.length;
+          kept.push(prev[i]);
+        }
+      }
+      if (at < 0) at = kept.length;
+      this.#anchors = [...kept.slice(0, at), ...anchors, ...kept.slice(at)];
+      // A correction inside the range would split the run of removed
+      // segments; rebuild in full then.
+      const split = this.#corrections.some((c) => c.px[0] >= fromA - 1 && c.px[0] <= toA + 1);
+      const length = lengthPolicy(this.#segmentLength);
+      /** @param {number} i */
+      const reindex = (i) => {
+        const k = keptAt[i];
+        return k < 0 ? -1 : k < at ? k : k + anchors.length;
+      };
+      return (split ? null : patchMap(old, removed, anchors, sMax, length, reindex, at))
+        ?? this.#buildFull(sMax);
+    });
   }
 
-  /** Remove all event listeners and timers. Safe to call multiple times. */
-  destroy() {
+  /**
+   * Scroll all panes to a virtual-axis position, instantly or animated.
+   * Cancels wheel momentum, snapping and any earlier animation.
+   *
+   * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+   * @param {ScrollToOptions} [opts]
+   * @returns {Promise<boolean>} Resolves `true` on arrival, or `false` when
+   *   wheel, keyboard, touch or native scroll input, another `scrollTo()`,
+   *   disabling or `destroy()` interrupts the animation.
+   */
+  scrollTo(v, opts) {
+    if (this.#destroyed) return Promise.resolve(false);
+    this.#stopPump();
+    const d = this.ensureMap();
+    const target = Math.max(0, Math.min(d.vTotal, v));
+    const duration = opts?.duration ?? SCROLL_DURATION_MS;
+    if (opts?.behavior !== "smooth" || !(duration > 0) || !isFinite(duration)) {
+      this.#vCurrent = target;
+      this.#applyV();
+      return Promise.resolve(true);
+    }
+    return this.#animate(target, duration, opts.easing ?? easeInOutCubic);
+  }
+
+  /**
+   * Scroll to an anchor so it sits at `alignOffset` in every pane.
+   *
+   * @param {string | number} idOrIndex - The anchor's `id`, or its index in
+   *   the array returned by `getAnchors()`.
+   * @param {ScrollToOptions} [opts]
+   * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+   *   the anchor is unknown or was dropped from the map.
+   */
+  scrollToAnchor(idOrIndex, opts) {
+    if (this.#destroyed) return Promise.resolve(false);
+    const seg = this.#anchorSegment(idOrIndex);
+    return seg ? this.scrollTo(seg.vPx, opts) : Promise.resolve(false);
+  }
+
+  /**
+   * Scroll to the first anchor after the current position (or after the
+   * target of a scroll already in progress).
+   * @param {AnchorScrollOptions} [opts]
+   * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+   *   there is no later anchor.
+   */
+  nextAnchor(opts) {
+    return this.#stepAnchor(1, opts);
+  }
+
+  /**
+   * Scroll to the last anchor before the current position (or before the
+   * target of a scroll already in progress).
+   * @param {AnchorScrollOptions} [opts]
+   * @returns {Promise<boolean>} As {@link scrollTo}; `false` at once when
+   *   there is no earlier anchor.
+   */
+  prevAnchor(opts) {
+    return this.#stepAnchor(-1, opts);
+  }
+
+  /**
+   * Pane-B content position corresponding to a pane-A one, e.g. to
+   * highlight the preview block under the editor's cursor.
+   * @param {number} px - Pane-A content position (px). Clamped to [0, scrollMax].
+   * @returns {number}
+   */
+  mapAToB(px) {
+    return this.#map(0, 1, px);
+  }
+
+  /**
+   * Pane-A content position corresponding to a pane-B one.
+   * @param {number} px - Pane-B content position (px). Clamped to [0, scrollMax].
+   * @returns {number}
+   */
+  mapBToA(px) {
+    return this.#map(1, 0, px);
+  }
+
+  /**
+   * Virtual-axis position of a pane-A position.
+   * @param {number} px - Pane-A content position (px). Clamped to [0, scrollMax].
+   * @returns {number}
+   */
+  vFromA(px) {
+    return this.#map(0, "vPx", px);
+  }
+
+  /**
+   * Virtual-axis position of a pane-B position.
+   * @param {number} px - Pane-B content position (px). Clamped to [0, scrollMax].
+   * @returns {number}
+   */
+  vFromB(px) {
+    return this.#map(1, "vPx", px);
+  }
+
+  /**
+   * Pane-A content position at a virtual-axis position.
+   * `aFromV(vCurrent)` is the content shown at `alignOffset`.
+   * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+   * @returns {number}
+   */
+  aFromV(v) {
+    return this.#map("vPx", 0, v);
+  }
+
+  /**
+   * Pane-B content position at a virtual-axis position.
+   * @param {number} v - Virtual axis position (px). Clamped to [0, vTotal].
+   * @returns {number}
+   */
+  bFromV(v) {
+    return this.#map("vPx", 1, v);
+  }
+
+  /** Remove all event listeners and timers. Safe to call multiple times. */
+  destroy() {
     if (this.#destroyed) return;
     this.#destroyed = true;
     this.enabled = false;
-    this.paneA.removeEventListener("scroll", this.#onScrollA);
-    this.paneB.removeEventListener("scroll", this.#onScrollB);
-    this.paneA.removeEventListener("wheel", this.#onWheel);
-    this.paneB.removeEventListener("wheel", this.#onWheel);
+    this.panes.forEach((pane, i) => {
+      pane.removeEventListener("scroll", this.#onScroll[i]);
+      pane.removeEventListener("scrollend", this.#onScrollEnd[i]);
+      pane.removeEventListener("wheel", this.#onWheel[i]);
+      pane.removeEventListener("input", this.#onContentChange);
+      if (this.#onKey) pane.removeEventListener("keydown", this.#onKey[i]);
+      if (this.#onPointer) {
+        for (const type of POINTER_EVENTS) pane.removeEventListener(type, this.#onPointer[i]);
+      }
+    });
+    this.#resizeObserver?.disconnect();
+    this.#mutationObserver?.disconnect();
+    this.#resizeObserver = null;
+    this.#mutationObserver = null;
+    if (this.#rebuildRafId !== null) {
+      this.#cancelFrame(this.#rebuildRafId);
+      this.#rebuildRafId = null;
+    }
     this.#data = null;
     this.onSync = null;
     this.onMapBuilt = null;
     this.onError = null;
+    this.#listeners.clear();
+  }
+
+  /**
+   * Align the other panes to the caret instead of the alignment line:
+   * while the caret at pane-A content position `aPx` is inside pane A's
+   * viewport, the content mapped from it sits at the same viewport offset
+   * in every other pane. Pane A is not moved. Call again whenever the
+   * caret moves; `null` stops following and re-aligns to `alignOffset`.
+   * @param {number | null} aPx
+   */
+  followCaret(aPx) {
+    if (this.#destroyed) return;
+    this.#caret = aPx !== null && isFinite(aPx) ? aPx : null;
+    if (!this.enabled) return;
+    const { segments, vTotal } = this.ensureMap();
+    if (segments.length === 0) return;
+    if (!this.#positioned) {
+      this.#positioned = true;
+      this.#vCurrent = Math.max(0, Math.min(vTotal,
+        lookup(segments, 0, "vPx", this.#getScroll(0) + this.#offset(0), this.interpolation)));
+    }
+    this.#follow(segments, vTotal, 0);
+    this.#emitSync(0);
+  }
+
+  /**
+   * Remove all correction anchors and re-align the panes to the leading
+   * pane under the plain `getAnchors()` map.
+   */
+  clearCorrections() {
+    if (this.#destroyed || this.#corrections.length === 0) return;
+    this.#corrections = [];
+    this.#decoupled = null;
+    this.ensureMap();
+    const { segments, vTotal } = this.#rebuild((sMax) => this.#buildFull(sMax));
+    if (!this.#positioned || segments.length === 0) return;
+    let lead = 0;
+    while (lead < this.panes.length - 1 && !this.#leads(lead)) lead++;
+    const pos = this.#getScroll(lead) + this.#offset(lead);
+    this.#vCurrent = Math.max(0, Math.min(vTotal, lookup(segments, lead, "vPx", pos, this.interpolation)));
+    if (this.enabled) this.#applyV();
+  }
+
+  /**
+   * Subscribe to an event. Handlers run after the matching `onSync` /
+   * `onMapBuilt` / `onError` option; exceptions they throw are swallowed.
+   *
+   * @template {keyof SyncEventMap} K
+   * @param {K} type
+   * @param {(payload: SyncEventMap[K]) => void} handler
+   * @returns {() => void} Removes the handler again.
+   */
+  on(type, handler) {
+    if (this.#destroyed) return () => {};
+    let set = this.#listeners.get(type);
+    if (!set) this.#listeners.set(type, set = new Set());
+    set.add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Remove a handler added with {@link on}.
+   *
+   * @template {keyof SyncEventMap} K
+   * @param {K} type
+   * @param {(payload: SyncEventMap[K]) => void} handler
+   */
+  off(type, handler) {
+    const set = this.#listeners.get(type);
+    if (!set) return;
+    set.delete(handler);
+    if (set.size === 0) this.#listeners.delete(type);
+  }
+
+  /**
+   * Watch pane size (ResizeObserver on each pane and its children), DOM
+   * changes (MutationObserver) and `input` events. Each notification
+   * schedules a coalesced rebuild. Observers missing from the environment
+   * are skipped.
+   */
+  #observe() {
+    const RO = globalThis.ResizeObserver;
+    const MO = globalThis.MutationObserver;
+    if (RO) {
+      const ro = new RO(this.#onContentChange);
+      this.#resizeObserver = ro;
+      for (const pane of this.panes) this.#observeSize(pane);
+    }
+    if (MO) {
+      const mo = new MO((/** @type {MutationRecord[]} */ records) => {
+        for (const record of records) this.#trackChildren(record);
+        this.#scheduleRebuild();
+      });
+      this.#mutationObserver = mo;
+      for (const pane of this.panes) {
+        mo.observe(/** @type {Node} */ (/** @type {unknown} */ (pane)),
+          { childList: true, subtree: true, characterData: true });
+      }
+    }
+    for (const pane of this.panes) pane.addEventListener("input", this.#onContentChange);
+  }
+
+  /**
+   * Resize-observe a pane and its direct children, so content that grows
+   * (e.g. an image finishing loading) is noticed even when the pane's own
+   * box does not change.
+   * @param {ScrollPane} pane
+   */
+  #observeSize(pane) {
+    const ro = this.#resizeObserver;
+    if (!ro) return;
+    const el = /** @type {Element} */ (/** @type {unknown} */ (pane));
+    ro.observe(el);
+    const children = el.children;
+    if (children) for (let i = 0; i < children.length; i++) ro.observe(children[i]);
+  }
+
+  /**
+   * Keep the resize-observed children of a pane in step with a mutation:
+   * observe added elements, unobserve removed ones. Deeper mutations are
+   * left alone — observing an already observed target again would queue
+   * a fresh notification and a second rebuild.
+   * @param {MutationRecord} record
+   */
+  #trackChildren(record) {
+    const ro = this.#resizeObserver;
+    if (!ro || record.type !== "childList") return;
+    const target = /** @type {ScrollPane} */ (/** @type {unknown} */ (record.target));
+    if (!this.panes.includes(target)) return;
+    // nodeType 1: Element; text and comment nodes have no box to observe.
+    const { addedNodes: added, removedNodes: removed } = record;
+    for (let i = 0; i < removed.length; i++) {
+      if (removed[i].nodeType === 1) ro.unobserve(/** @type {Element} */ (removed[i]));
+    }
+    for (let i = 0; i < added.length; i++) {
+      const node = added[i];
+      if (node.nodeType === 1 && node.parentNode === record.target) ro.observe(/** @type {Element} */ (node));
+    }
+  }
+
+  /**
+   * Replace the map with the result of `build`, keeping the current
+   * position relative to the closest identified anchor so content inserted
+   * or removed elsewhere does not move the view. The offset is kept in
+   * content px of the leading pane, so the view also holds when the
+   * segment under it changes length.
+   *
+   * @param {(sMax: number[]) => MapData | null} build - Returns null when
+   *   the anchors arrive later; the current map is then kept as is.
+   * @returns {MapData}
+   */
+  #rebuild(build) {
+    const ref = this.#positioned && this.#data
+      ? nearestIdentified(this.#data.segments, this.#vCurrent)
+      : null;
+    const lead = this.#leadPane();
+    const refOffset = ref
+      ? lookup(/** @type {MapData} */ (this.#data).segments, "vPx", lead, this.#vCurrent, this.interpolation) - posOf(ref, lead)
+      : 0;
+    this.#detectDirection();
+    const sMax = this.panes.map((_, i) => this.#scrollMax(i));
+    try {
+      const data = build(sMax);
+      if (!data) {
+        this.#dirty = false;
+        this.#data ??= emptyMap();
+        return this.#data;
+      }
+      this.#data = data;
+      const moved = ref && this.#data.segments.find((seg) => seg.id === ref.id);
+      if (moved) {
+        this.#vCurrent = Math.max(0, Math.min(data.vTotal,
+          lookup(data.segments, lead, "vPx", posOf(moved, lead) + refOffset, this.interpolation)));
+      }
+      if (this.strict && this.#data.diagnostics.length > 0) {
+        this.#emit("error", new AnchorDiagnosticsError(this.#data.diagnostics));
+      }
+    } catch (err) {
+      this.#anchors = [];
+      this.#data = emptyMap();
+      this.#emit("error", err);
+    }
+    this.#dirty = false;
+    this.#emit("mapbuilt", this.#data);
+    return this.#data;
+  }
+
+  /**
+   * Rebuild from anchors resolved by an asynchronous `getAnchors()`,
+   * unless the map was invalidated or patched since they were requested.
+   *
+   * @param {number} generation - `#generation` when they were requested.
+   * @param {Array<Anchor | MultiAnchor>} anchors
+   */
+  #settle(generation, anchors) {
+    if (this.#destroyed || generation !== this.#generation) return;
+    this.#rebuild((sMax) => {
+      this.#anchors = anchors;
+      return this.#buildFull(sMax);
+    });
+    if (this.enabled && this.#positioned) this.#applyV();
   }
 
-  /** Set both panes from #vCurrent. */
-  #applyV() {
+  /**
+   * Build the map from all of `#anchors` plus the corrections.
+   * @param {number[]} sMax
+   * @returns {MapData}
+   */
+  #buildFull(sMax) {
+    const n = this.#anchors.length;
+    const anchors = this.#corrections.length > 0
+      ? [...this.#anchors, ...this.#corrections]
+      : this.#anchors;
+    const opts = { segmentLength: this.#segmentLength };
+    const data = sMax.length === 2
+      ? buildMap(/** @type {Anchor[]} */ (anchors), sMax[0], sMax[1], opts)
+      : buildMap(anchors, sMax, opts);
+    if (anchors === this.#anchors) return data;
+    // Indices past `n` are corrections, not entries of the getAnchors() array.
+    const dropped = data.dropped.filter((i) => i < n);
+    const diagnostics = data.diagnostics.filter((d) => d.index < n);
+    return { ...data, droppedCount: dropped.length, dropped, diagnostics };
+  }
+
+  /**
+   * Rebuild the map on the next frame and re-apply the current position.
+   * Without an identified anchor to hold on to, the content of the leading
+   * pane at the alignment line stays in place.
+   */
+  #scheduleRebuild() {
+    if (this.#destroyed || this.#rebuildRafId !== null) return;
+    this.#rebuildRafId = this.#requestFrame(() => {
+      this.#rebuildRafId = null;
+      const old = this.#positioned ? this.#data?.segments ?? [] : [];
+      const lead = this.#leadPane();
+      const content = old.length > 0 && !nearestIdentified(old, this.#vCurrent)
+        ? this.#contentAt(lead, old)
+        : null;
+      this.invalidate();
+      const { segments, vTotal } = this.ensureMap();
+      if (content !== null && segments.length > 0) {
+        this.#vCurrent = Math.max(0, Math.min(vTotal,
+          lookup(segments, lead, "vPx", content, this.interpolation)));
+      }
+      if (this.enabled && this.#positioned) this.#applyV();
+    });
+  }
+
+  /** Re-read each horizontal pane's direction (RTL / vertical-rl). */
+  #detectDirection() {
+    this.#reversed = this.panes.map((pane, i) => this.#axes[i] === "x" && isReversedX(pane));
+  }
+
+  /**
+   * Scroll position of a pane along its axis, measured from the content start.
+   * @param {number} i - Pane index.
+   * @returns {number}
+   */
+  #getScroll(i) {
+    const pane = this.panes[i];
+    if (this.#axes[i] === "y") return pane.scrollTop;
+    const x = pane.scrollLeft ?? 0;
+    return this.#reversed[i] ? -x : x;
+  }
+
+  /**
+   * Set a pane's scroll position along its axis and record the echo to expect.
+   * @param {number} i - Pane index.
+   * @param {number} px - Position measured from the content start.
+   */
+  #setScroll(i, px) {
+    const pane = this.panes[i];
+    // Per-pane offsets can push a target past either end of the range.
+    px = Math.max(0, Math.min(this.#scrollMax(i), px));
+    if (this.#axes[i] === "y") pane.scrollTop = px;
+    else pane.scrollLeft = this.#reversed[i] ? 0 - px : px;
+    this.#expected[i] = this.#getScroll(i);
+  }
+
+  /**
+   * Resolve `alignOffset` for a pane to pixels below its start edge.
+   * Unusable values count as 0.
+   * @param {number} i - Pane index.
+   * @returns {number}
+   */
+  #offset(i) {
+    const opt = this.alignOffset;
+    let off = Array.isArray(opt) ? opt[i] ?? 0 : opt;
+    if (typeof off === "function") {
+      try {
+        off = off(this.panes[i], i);
+      } catch (err) {
+        this.#emit("error", err);
+        return 0;
+      }
+    }
+    if (typeof off === "string") {
+      off = off.endsWith("%") ? parseFloat(off) / 100 * this.#viewport(i) : NaN;
+    }
+    return typeof off === "number" && isFinite(off) ? off : 0;
+  }
+
+  /**
+   * Maximum scroll position of a pane along its axis.
+   * @param {number} i - Pane index.
+   * @returns {number}
+   */
+  #scrollMax(i) {
+    const pane = this.panes[i];
+    const max = this.#axes[i] === "y"
+      ? pane.scrollHeight - pane.clientHeight
+      : (pane.scrollWidth ?? 0) - (pane.clientWidth ?? 0);
+    return Math.max(0, max);
+  }
+
+  /**
+   * Viewport size of a pane along its axis.
+   * @param {number} i - Pane index.
+   * @returns {number}
+   */
+  #viewport(i) {
+    const pane = this.panes[i];
+    return this.#axes[i] === "y" ? pane.clientHeight : pane.clientWidth ?? 0;
+  }
+
+  /**
+   * Position every pane but `source` from `#vCurrent` at `alignOffset`.
+   * While following the caret and it is visible in pane A (the source),
+   * they are aligned to the caret's line instead.
+   * @param {Segment[]} segs
+   * @param {number} vTotal
+   * @param {number} source - Pane that is already in place.
+   */
+  #follow(segs, vTotal, source) {
+    let v = this.#vCurrent;
+    /** @type {number | null} */
+    let line = null;
+    if (this.#caret !== null && source === 0) {
+      const at = this.#caret - this.#getScroll(0);
+      if (at >= 0 && at <= this.#viewport(0)) {
+        v = Math.max(0, Math.min(vTotal, lookup(segs, 0, "vPx", this.#caret, this.interpolation)));
+        line = at;
+      }
+    }
+    this.panes.forEach((_, i) => {
+      if (i !== source) this.#setScroll(i, lookup(segs, "vPx", i, v, this.interpolation) - (line ?? this.#offset(i)));
+    });
+  }
+
+  /**
+   * Set all panes from #vCurrent.
+   * @param {number | null} [source] - Pane whose wheel, key or touch input
+   *   moved the view; null when the controller moved it on its own.
+   */
+  #applyV(source = null) {
     this.#applying = true;
-    const segs = this.ensureMap().segments;
-    const off = this.alignOffset;
-    this.paneA.scrollTop = lookup(segs, "vPx", "aPx", this.#vCurrent) - off;
-    this.paneB.scrollTop = lookup(segs, "vPx", "bPx", this.#vCurrent) - off;
-    this.#expectedA = this.paneA.scrollTop;
-    this.#expectedB = this.paneB.scrollTop;
+    this.#positioned = true;
+    const { segments: segs, vTotal } = this.ensureMap();
+    this.#setScroll(0, lookup(segs, "vPx", 0, this.#vCurrent, this.interpolation) - this.#offset(0));
+    this.#follow(segs, vTotal, 0);
     this.#applying = false;
-    callSafe(this.onSync);
+    this.#emitSync(source);
+  }
+
+  /**
+   * Call the option callback for an event, then its listeners.
+   *
+   * @template {keyof SyncEventMap} K
+   * @param {K} type
+   * @param {SyncEventMap[K]} payload
+   */
+  #emit(type, payload) {
+    const option = type === "sync" ? this.onSync
+      : type === "mapbuilt" ? this.onMapBuilt
+      : type === "error" ? this.onError
+      : null;
+    callSafe(option, payload);
+    const set = this.#listeners.get(type);
+    if (set) for (const fn of [...set]) callSafe(fn, payload);
+  }
+
+  /**
+   * Emit `sync` for the current position, then `sectionchange` if the
+   * active section changed.
+   * @param {number | null} source - Pane whose input moved the view.
+   */
+  #emitSync(source) {
+    // Any sync ends a decoupled gesture; the next one records a new correction.
+    this.#decoupled = null;
+    if (this.onSync || this.#listeners.has("sync")) {
+      const segs = this.ensureMap().segments;
+      const segment = segs.length > 0 ? this.#findSegment(segs, this.#vCurrent) : 0;
+      const seg = segs[segment];
+      const progress = seg && seg.vS > 0 ? (this.#vCurrent - seg.vPx) / seg.vS : 0;
+      this.#emit("sync", { source, vCurrent: this.#vCurrent, segment, progress });
+    }
+    if (this.#listeners.has("sectionchange")) {
+      const section = this.#section();
+      // Ids survive edits above the section; input indices are the fallback.
+      const key = section ? section.id ?? section.index : null;
+      if (key !== this.#sectionKey) {
+        this.#sectionKey = key;
+        this.#emit("sectionchange", section);
+      }
+    }
+  }
+
+  /** @returns {ActiveSection | null} */
+  #section() {
+    const { segments, vTotal } = this.ensureMap();
+    if (segments.length === 0) return null;
+    const v = this.#vCurrent;
+    const snapOnly = this.sectionSnapOnly;
+    // Segment 0 starts at the origin, not at an anchor.
+    /** @param {number} i */
+    const skip = (i) => (snapOnly && !segments[i].snap) || this.#isCorrection(segments[i]);
+    let k = this.#findSegment(segments, v + ANCHOR_TOLERANCE_PX);
+    while (k > 0 && skip(k)) k--;
+    if (k === 0) return null;
+    let next = k + 1;
+    while (next < segments.length && skip(next)) next++;
+    const start = segments[k].vPx;
+    const end = next < segments.length ? segments[next].vPx : vTotal;
+    const progress = end > start ? Math.max(0, Math.min(1, (v - start) / (end - start))) : 0;
+    return { index: this.#anchorIndex(k), id: segments[k].id, segment: k, progress };
+  }
+
+  /**
+   * Input index of the anchor starting map segment `k` (k ≥ 1); -1 for
+   * a correction.
+   * @param {number} k
+   * @returns {number}
+   */
+  #anchorIndex(k) {
+    const data = /** @type {MapData} */ (this.#data);
+    const cache = this.#indexCache;
+    if (cache && cache.data === data && cache.segment === k) return cache.index;
+    const seg = data.segments[k];
+    let index = -1;
+    if (!this.#isCorrection(seg)) {
+      for (let i = 0; i < this.#anchors.length; i++) {
+        if (this.#anchorA(this.#anchors[i]) === seg.aPx && !data.dropped.includes(i)) { index = i; break; }
+      }
+    }
+    this.#indexCache = { data, segment: k, index };
+    return index;
   }
 
   /**
-   * Handle native scroll event; absorb echoes and sync the opposite pane.
-   * @param {"a" | "b"} source
+   * Whether a map segment starts at a correction rather than at one of
+   * the `getAnchors()` anchors. Corrections keep the panes aligned, but
+   * are not anchors to navigate to or sections to report.
+   * @param {Segment} seg
+   * @returns {boolean}
+   */
+  #isCorrection(seg) {
+    return this.#corrections.some((c) => this.#anchorA(c) === seg.aPx);
+  }
+
+  /**
+   * Pane-A position of an anchor as the current map stores it (rounded,
+   * clamped). Kept anchors have distinct pane-A positions, so this
+   * identifies the anchor's segment.
+   * @param {Anchor | MultiAnchor} anchor
+   * @returns {number}
+   */
+  #anchorA(anchor) {
+    const segs = /** @type {MapData} */ (this.#data).segments;
+    const last = segs[segs.length - 1];
+    return Math.max(0, Math.min(last.aPx + last.aS, Math.round(anchorPositions(anchor)[0])));
+  }
+
+  /**
+   * Handle native scroll event; absorb echoes and sync the other panes.
+   * @param {number} source - Index of the pane that scrolled.
    */
   #handleScroll(source) {
     if (!this.enabled || this.#applying) return;
 
-    const isA = source === "a";
-    const srcPane = isA ? this.paneA : this.paneB;
-    const expected = isA ? this.#expectedA : this.#expectedB;
+    const pos = this.#getScroll(source);
+    const expected = this.#expected[source];
     if (expected !== null) {
-      if (isA) this.#expectedA = null; else this.#expectedB = null;
-      if (Math.abs(srcPane.scrollTop - expected) < ECHO_GUARD_PX) return;
+      this.#expected[source] = null;
+      if (Math.abs(pos - expected) < ECHO_GUARD_PX) return;
     }
 
+    if (!this.#leads(source)) return;
     const { segments: segs, vTotal } = this.ensureMap();
     if (segs.length === 0) return;
 
-    const off = this.alignOffset;
-    const tgtPane = isA ? this.paneB : this.paneA;
+    // The user moved a pane (e.g. the scrollbar); an animation would fight it.
+    this.#endAnimation(false);
+    this.#positioned = true;
     this.#vCurrent = Math.max(0, Math.min(vTotal,
-      lookup(segs, isA ? "aPx" : "bPx", "vPx", srcPane.scrollTop + off)));
-    tgtPane.scrollTop = lookup(segs, "vPx", isA ? "bPx" : "aPx", this.#vCurrent) - off;
-    if (isA) this.#expectedB = tgtPane.scrollTop;
-    else this.#expectedA = tgtPane.scrollTop;
-    callSafe(this.onSync);
+      lookup(segs, source, "vPx", pos + this.#offset(source), this.interpolation)));
+    this.#follow(segs, vTotal, source);
+    this.#emitSync(source);
+    this.#armSettle(source);
+  }
+
+  /**
+   * Wait for a native scroll of `source` to settle: its `scrollend`
+   * event where supported, otherwise `snapAfter.idle` ms without scroll
+   * events.
+   * @param {number} source
+   */
+  #armSettle(source) {
+    this.#settleSource = source;
+    if (this.#settleTimer !== null) clearTimeout(this.#settleTimer);
+    this.#settleTimer = null;
+    if ("onscrollend" in this.panes[source]) return;
+    const idle = this.snapAfter.idle;
+    this.#settleTimer = setTimeout(() => this.#onSettle(source),
+      typeof idle === "number" && idle >= 0 ? idle : SETTLE_IDLE_MS);
+  }
+
+  /**
+   * Native scrolling of a pane has settled; snap unless other motion took
+   * over meanwhile.
+   * @param {number} i - Pane index.
+   */
+  #onSettle(i) {
+    if (this.#settleSource !== i) return;
+    this.#settleSource = null;
+    if (this.#settleTimer !== null) clearTimeout(this.#settleTimer);
+    this.#settleTimer = null;
+    if (!this.enabled || this.#drag || this.#pumpRafId !== null || this.#animation) return;
+    this.#inputSource = i;
+    this.#trySnap("scroll");
+  }
+
+  /**
+   * Pane whose content position defines the view across rebuilds: pane B
+   * under `"b-to-a"`, otherwise pane A.
+   * @returns {number}
+   */
+  #leadPane() {
+    return this.direction === "b-to-a" ? 1 : 0;
+  }
+
+  /**
+   * Content position of pane `i` at the alignment line: where `segs` put
+   * it for `#vCurrent`, shifted by however far the pane has scrolled since
+   * (e.g. the browser's scroll anchoring after content changed above).
+   * @param {number} i - Pane index.
+   * @param {Segment[]} segs - The map the panes were last positioned with.
+   * @returns {number}
+   */
+  #contentAt(i, segs) {
+    const pos = lookup(segs, "vPx", i, this.#vCurrent, this.interpolation);
+    const placed = Math.max(0, Math.min(this.#scrollMax(i), pos - this.#offset(i)));
+    return pos + this.#getScroll(i) - placed;
+  }
+
+  /**
+   * Whether user input on a pane may move the virtual axis under the
+   * current `direction`. Unknown values behave as `"both"`.
+   * @param {number} i - Pane index.
+   * @returns {boolean}
+   */
+  #leads(i) {
+    switch (this.direction) {
+      case "a-to-b": return i === 0;
+      case "b-to-a": return i === 1;
+      default: return true;
+    }
   }
 
   /** Sanitise mutable wheel properties before each use. */
   #validateWheel() {
     const w = this.wheel;
-    if (typeof w.smooth !== "number" || !isFinite(w.smooth)) w.smooth = 0.1;
+    if (typeof w.smooth !== "number" || !isFinite(w.smooth)) w.smooth = DEFAULT_SMOOTH;
     if (typeof w.snap !== "number" || !isFinite(w.snap) || w.snap < 0) w.snap = 0;
+    if (typeof w.halfLife !== "number" || !(w.halfLife > 0) || w.halfLife === Infinity) w.halfLife = 0;
+    if (typeof w.friction !== "number" || !(w.friction > 0) || w.friction === Infinity) w.friction = 4000;
+    if (typeof w.stiffness !== "number" || !(w.stiffness > 0) || w.stiffness === Infinity) w.stiffness = 200;
     if (w.brake) {
       if (typeof w.brake.factor !== "number" || !isFinite(w.brake.factor)) w.brake.factor = 1;
       if (typeof w.brake.zone !== "number" || !isFinite(w.brake.zone)) w.brake.zone = 0;
@@ -343,23 +1955,364 @@ export class DualScrollSync {
 
   /**
    * Validate wheel event, preventDefault, and dispatch delta.
+   * A pane on the x axis takes deltaX (or deltaY when there is no deltaX);
+   * a pane on the y axis passes horizontal-only input through.
    * @param {WheelEvent} e
+   * @param {number} source - Index of the pane that received the event.
    */
-  #onWheelEvent(e) {
-    if (!this.enabled || e.shiftKey || e.ctrlKey || e.metaKey) return;
+  #onWheelEvent(e, source) {
+    if (!this.enabled) return;
+    const key = this.decoupleKey;
+    if (key && MODIFIER_PROP[key] && e[MODIFIER_PROP[key]]) {
+      this.#decoupledWheel(e, source);
+      return;
+    }
+    if (e.shiftKey || e.ctrlKey || e.metaKey) return;
+    if (!this.#leads(source)) return;
     this.#validateWheel();
-    if (e.deltaX !== 0 && e.deltaY === 0) return;
+    let dy;
+    if (this.#axes[source] === "x" && e.deltaX !== 0) {
+      dy = this.#reversed[source] ? -e.deltaX : e.deltaX;
+    } else {
+      if (e.deltaX !== 0 && e.deltaY === 0) return;
+      dy = e.deltaY;
+    }
     if (this.wheel.smooth <= 0) return;
     e.preventDefault();
-    this.#snapping = false;
-    let dy = e.deltaY;
     if (e.deltaMode === 1) dy *= PIXELS_PER_LINE;
-    else if (e.deltaMode === 2) dy *= this.paneA.clientHeight;
+    else if (e.deltaMode === 2) dy *= this.#viewport(source);
+    this.#feed(dy, "wheel", source);
+  }
+
+  /**
+   * Scroll one pane alone while the decouple modifier is held, and record
+   * where it ends up as a correction anchor.
+   * @param {WheelEvent} e
+   * @param {number} source - Index of the pane that received the event.
+   */
+  #decoupledWheel(e, source) {
+    let dy;
+    if (this.#axes[source] === "x" && e.deltaX !== 0) {
+      dy = this.#reversed[source] ? -e.deltaX : e.deltaX;
+    } else {
+      // Browsers may turn Shift+wheel into deltaX.
+      dy = e.deltaY !== 0 ? e.deltaY : e.deltaX;
+    }
+    if (e.deltaMode === 1) dy *= PIXELS_PER_LINE;
+    else if (e.deltaMode === 2) dy *= this.#viewport(source);
+    e.preventDefault();
+    this.#stopPump();
+    const pos = Math.max(0, Math.min(this.#scrollMax(source), this.#getScroll(source) + dy));
+    this.#setScroll(source, pos);
+    this.#recordCorrection(source);
+  }
+
+  /**
+   * Record the panes' current alignment-line positions as a correction
+   * anchor. Consecutive decoupled moves update the same correction;
+   * earlier corrections that contradict it are removed.
+   * @param {number} source - Pane that was moved alone.
+   */
+  #recordCorrection(source) {
+    const px = this.panes.map((_, i) =>
+      Math.max(0, Math.min(this.#scrollMax(i), this.#getScroll(i) + this.#offset(i))));
+    const current = this.#decoupled ?? { px, weight: CORRECTION_WEIGHT };
+    current.px = px;
+    /** @param {number[]} p @param {number[]} q */
+    const before = (p, q) => p[0] < q[0] && p.every((x, k) => x <= q[k]);
+    this.#corrections = this.#corrections.filter((c) =>
+      c !== current && (before(c.px, px) || before(px, c.px)));
+    this.#corrections.push(current);
+    this.#decoupled = current;
+
+    this.ensureMap();
+    const { segments, vTotal } = this.#rebuild((sMax) => this.#buildFull(sMax));
+    if (segments.length === 0) return;
+    this.#positioned = true;
+    this.#vCurrent = Math.max(0, Math.min(vTotal, lookup(segments, source, "vPx", px[source], this.interpolation)));
+  }
+
+  /**
+   * Translate a scrolling key into a virtual-axis delta and dispatch it.
+   * Keys typed into editable elements, and combinations with Alt/Ctrl/Meta,
+   * are left to the browser.
+   * @param {KeyboardEvent} e
+   * @param {number} source - Index of the pane that received the event.
+   */
+  #onKeyEvent(e, source) {
+    if (!this.enabled || e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (!this.#leads(source)) return;
+    if (isEditable(e.target)) return;
+    this.#validateWheel();
+    if (this.wheel.smooth <= 0) return;
+    const horizontal = this.#axes[source] === "x";
+    const flip = this.#reversed[source] ? -1 : 1;
+    /** @type {number} */
+    let delta;
+    /** @type {number | undefined} */
+    let target;
+    switch (e.key) {
+      case "ArrowDown": delta = KEY_LINE_PX; break;
+      case "ArrowUp": delta = -KEY_LINE_PX; break;
+      case "ArrowRight": if (!horizontal) return; delta = KEY_LINE_PX * flip; break;
+      case "ArrowLeft": if (!horizontal) return; delta = -KEY_LINE_PX * flip; break;
+      case "PageDown": delta = this.#pageSize(); break;
+      case "PageUp": delta = -this.#pageSize(); break;
+      case " ": delta = e.shiftKey ? -this.#pageSize() : this.#pageSize(); break;
+      case "Home": target = 0; delta = -(this.#vCurrent + this.#motion.remaining); break;
+      case "End":
+        target = this.ensureMap().vTotal;
+        delta = target - (this.#vCurrent + this.#motion.remaining);
+        break;
+      default: return;
+    }
+    if (e.shiftKey && e.key !== " ") return;
+    e.preventDefault();
+    this.#feed(delta, "keyboard", source, target);
+  }
+
+  /**
+   * Drive the virtual axis from touch and pen drags. The dragged pane
+   * tracks the finger exactly; on release, the drag velocity becomes wheel
+   * pump momentum, so brake and snap apply at the end of the fling.
+   * @param {PointerEvent} e
+   * @param {number} source - Index of the pane that received the event.
+   */
+  #onPointerEvent(e, source) {
+    if (e.pointerType !== "touch" && e.pointerType !== "pen") return;
+    const drag = this.#drag;
+    const horizontal = this.#axes[source] === "x";
+    const coord = horizontal ? e.clientX : e.clientY;
+
+    if (e.type === "pointerdown") {
+      if (drag || !this.enabled || !this.#leads(source)) return;
+      this.#validateWheel();
+      if (this.wheel.smooth <= 0) return;
+      this.#stopPump();
+      this.#drag = { id: e.pointerId, source, coord, time: e.timeStamp, velocity: 0 };
+      const pane = /** @type {Partial<Element>} */ (/** @type {unknown} */ (this.panes[source]));
+      try { pane.setPointerCapture?.(e.pointerId); } catch (_) { /* pointer already gone */ }
+      return;
+    }
+    if (!drag || drag.id !== e.pointerId) return;
+
+    if (e.type === "pointermove") {
+      const { segments: segs, vTotal } = this.ensureMap();
+      const flip = horizontal && this.#reversed[drag.source] ? -1 : 1;
+      const delta = (drag.coord - coord) * flip;
+      drag.coord = coord;
+      if (segs.length === 0 || delta === 0) return;
+      const pos = lookup(segs, "vPx", drag.source, this.#vCurrent, this.interpolation);
+      const v = Math.max(0, Math.min(vTotal, lookup(segs, drag.source, "vPx", pos + delta, this.interpolation)));
+      const dt = e.timeStamp - drag.time;
+      if (dt > 0) drag.velocity = 0.8 * ((v - this.#vCurrent) / dt) + 0.2 * drag.velocity;
+      drag.time = e.timeStamp;
+      this.#vCurrent = v;
+      this.#applyV(drag.source);
+      return;
+    }
+
+    this.#drag = null;
+    if (e.type === "pointercancel" || !this.enabled) return;
+    const velocity = e.timeStamp - drag.time > FLING_IDLE_MS ? 0 : drag.velocity;
+    if (Math.abs(velocity) < MIN_FLING_VELOCITY) {
+      this.#inputSource = source;
+      this.#trySnap("touch");
+      return;
+    }
+    this.#validateWheel();
     if (this.wheel.smooth >= 1) {
-      this.#handleWheel(dy);
+      this.#feed(velocity * FRAME_MS, "touch", source);
       return;
     }
-    this.#wheelRemaining += dy;
+    this.#motion.fling(velocity);
+    this.#feed(0, "touch", source);
+  }
+
+  /** Cancel any wheel momentum, snap or scrollTo animation in progress. */
+  #stopPump() {
+    this.#motion.reset();
+    this.#feedTarget = null;
+    this.#pumpTime = null;
+    if (this.#pumpRafId !== null) {
+      this.#cancelFrame(this.#pumpRafId);
+      this.#pumpRafId = null;
+    }
+    this.#endWheel();
+    this.#endSnap(false);
+    this.#endAnimation(false);
+  }
+
+  /** Enter the wheel phase (pump driven by input), emitting `wheelstart`. */
+  #startWheel() {
+    if (this.#wheeling) return;
+    this.#wheeling = true;
+    this.#emit("wheelstart", undefined);
+  }
+
+  /** Leave the wheel phase, emitting `wheelend`. */
+  #endWheel() {
+    if (!this.#wheeling) return;
+    this.#wheeling = false;
+    this.#emit("wheelend", undefined);
+  }
+
+  /**
+   * Leave the snap phase, emitting `snapend`.
+   * @param {boolean} arrived - Whether the snap target was reached.
+   */
+  #endSnap(arrived) {
+    if (!this.#snapping) return;
+    this.#snapping = false;
+    this.#emit("snapend", { target: this.#snapTarget, arrived });
+  }
+
+  /**
+   * Convert a position between axes of the current map, clamping the input
+   * to the source range.
+   * @param {"vPx" | number} from - Source axis or pane index.
+   * @param {"vPx" | number} to - Target axis or pane index.
+   * @param {number} value
+   * @returns {number} 0 when there is no map.
+   */
+  #map(from, to, value) {
+    const { segments, vTotal } = this.ensureMap();
+    if (segments.length === 0 || Number.isNaN(value)) return 0;
+    const last = segments[segments.length - 1];
+    const max = from === "vPx" ? vTotal : posOf(last, from) + sizeOf(last, from);
+    return lookup(segments, from, to, Math.max(0, Math.min(max, value)), this.interpolation);
+  }
+
+  /**
+   * Map segment starting at an anchor.
+   * @param {string | number} idOrIndex - Anchor `id` or input index.
+   * @returns {Segment | null}
+   */
+  #anchorSegment(idOrIndex) {
+    const { segments, dropped } = this.ensureMap();
+    if (typeof idOrIndex === "string") {
+      return segments.find((seg) => seg.id === idOrIndex) ?? null;
+    }
+    const anchor = this.#anchors[idOrIndex];
+    if (!anchor || segments.length === 0 || dropped.includes(idOrIndex)) return null;
+    const a = this.#anchorA(anchor);
+    return segments.find((seg, k) => k > 0 && seg.aPx === a && !this.#isCorrection(seg)) ?? null;
+  }
+
+  /**
+   * Scroll to the neighbouring anchor in direction `dir`.
+   * @param {1 | -1} dir
+   * @param {AnchorScrollOptions} [opts]
+   * @returns {Promise<boolean>}
+   */
+  #stepAnchor(dir, opts) {
+    if (this.#destroyed) return Promise.resolve(false);
+    const { segments } = this.ensureMap();
+    const from = this.#animation ? this.#animation.target : this.#vCurrent + this.#motion.remaining;
+    /** @type {Segment | null} */
+    let found = null;
+    // Segment 0 starts at the origin, not at an anchor.
+    for (let k = 1; k < segments.length; k++) {
+      const seg = segments[k];
+      if ((opts?.snapOnly && !seg.snap) || this.#isCorrection(seg)) continue;
+      if (dir > 0 && seg.vPx > from + ANCHOR_TOLERANCE_PX) { found = seg; break; }
+      if (dir < 0 && seg.vPx < from - ANCHOR_TOLERANCE_PX) found = seg;
+    }
+    return found ? this.scrollTo(found.vPx, opts) : Promise.resolve(false);
+  }
+
+  /**
+   * Animate #vCurrent from its current value to `target`.
+   * @param {number} target - Virtual axis position (px), already clamped.
+   * @param {number} duration - Animation length (ms).
+   * @param {(t: number) => number} easing
+   * @returns {Promise<boolean>}
+   */
+  #animate(target, duration, easing) {
+    return new Promise((resolve) => {
+      const from = this.#vCurrent;
+      /** @type {{ resolve: (arrived: boolean) => void, rafId: number | null, target: number }} */
+      const anim = { resolve, rafId: null, target };
+      this.#animation = anim;
+      let elapsed = 0;
+      /** @type {number | undefined} */
+      let last;
+      /** @param {number} [now] - Frame timestamp (ms), when the scheduler passes one. */
+      const frame = (now) => {
+        anim.rafId = null;
+        if (!this.enabled) { this.#endAnimation(false); return; }
+        elapsed += now !== undefined && last !== undefined ? now - last : FRAME_MS;
+        last = now;
+        const t = Math.min(1, elapsed / duration);
+        const vTotal = this.ensureMap().vTotal;
+        const v = t >= 1 ? target : from + (target - from) * easing(t);
+        this.#vCurrent = Math.max(0, Math.min(vTotal, v));
+        this.#applyV();
+        if (t >= 1) this.#endAnimation(true);
+        else anim.rafId = this.#requestFrame(frame);
+      };
+      anim.rafId = this.#requestFrame(frame);
+    });
+  }
+
+  /**
+   * Finish the scrollTo animation in progress, if any.
+   * @param {boolean} arrived - Value its promise resolves with.
+   */
+  #endAnimation(arrived) {
+    const anim = this.#animation;
+    if (!anim) return;
+    this.#animation = null;
+    if (anim.rafId !== null) this.#cancelFrame(anim.rafId);
+    anim.resolve(arrived);
+  }
+
+  /**
+   * One keyboard page in virtual px: the distance that moves the fastest
+   * pane at the current position (largest `s[i] / vS`) by its viewport.
+   * @returns {number}
+   */
+  #pageSize() {
+    const { segments } = this.ensureMap();
+    let page = this.#viewport(0);
+    if (segments.length === 0) return page;
+    const seg = segments[this.#findSegment(segments, this.#vCurrent)];
+    if (!(seg.vS > 0)) return page;
+    let speed = 0;
+    for (let i = 0; i < this.panes.length; i++) {
+      const r = sizeOf(seg, i) / seg.vS;
+      if (r > speed) { speed = r; page = this.#viewport(i) / r; }
+    }
+    return page;
+  }
+
+  /**
+   * Dispatch a virtual-axis delta through the wheel pipeline: instant when
+   * `smooth >= 1`, otherwise accumulated into the pump.
+   * @param {number} delta
+   * @param {"wheel" | "keyboard" | "touch"} kind - Input, for the snap that follows.
+   * @param {number} source - Pane that received the input.
+   * @param {number} [target] - Absolute position the input heads for
+   *   (Home/End): reached exactly, without braking or a snap.
+   */
+  #feed(delta, kind, source, target) {
+    this.#motionKind = kind;
+    this.#inputSource = source;
+    if (this.wheel.smooth >= 1) {
+      // Drop a snap still gliding from the previous press.
+      this.#stopPump();
+      this.#startWheel();
+      this.#handleWheel(delta);
+      this.#endWheel();
+      // Instant wheel notches never snap; keyboard and touch input do.
+      if (kind !== "wheel" && target === undefined) this.#trySnap(kind);
+      return;
+    }
+    this.#endAnimation(false);
+    this.#endSnap(false);
+    this.#startWheel();
+    this.#feedTarget = target ?? null;
+    this.#motion.add(delta);
     if (this.#pumpRafId === null) this.#pumpWheel();
   }
 
@@ -379,68 +2332,148 @@ export class DualScrollSync {
     return lo;
   }
 
-  /** Compute anchor-proximity damping factor. */
-  #anchorDamping() {
-    if (this.#snapping) return 1;
-    const brake = this.wheel.brake;
-    if (!brake || brake.factor >= 1 || brake.zone <= 0) return 1;
+  /**
+   * Virtual distance from `#vCurrent` to the nearest anchor (segment
+   * boundary); Infinity without a map.
+   * @returns {number}
+   */
+  #anchorDistance() {
     const { segments } = this.ensureMap();
-    if (segments.length === 0) return 1;
+    if (segments.length === 0) return Infinity;
     const v = this.#vCurrent;
     const i = this.#findSegment(segments, v);
     let minDist = Math.abs(v - segments[i].vPx);
     if (i + 1 < segments.length) {
       minDist = Math.min(minDist, Math.abs(v - segments[i + 1].vPx));
     }
-    const t = Math.min(minDist / brake.zone, 1);
+    return minDist;
+  }
+
+  /** Compute anchor-proximity damping factor. */
+  #anchorDamping() {
+    if (this.#snapping || this.#feedTarget !== null) return 1;
+    const { segments } = this.ensureMap();
+    if (segments.length === 0) return 1;
+    const i = this.#findSegment(segments, this.#vCurrent);
+    const damping = this.#brakeAt(segments[i]);
+    return i + 1 < segments.length ? Math.min(damping, this.#brakeAt(segments[i + 1])) : damping;
+  }
+
+  /**
+   * Damping from the anchor at the start of a segment: its own
+   * `brakeFactor`/`brakeZone`, falling back to `wheel.brake`.
+   * @param {Segment} seg
+   * @returns {number}
+   */
+  #brakeAt(seg) {
+    const brake = this.wheel.brake;
+    const factor = seg.brakeFactor ?? brake?.factor ?? 1;
+    const zone = seg.brakeZone ?? brake?.zone ?? 0;
+    if (factor >= 1 || zone <= 0) return 1;
+    const t = Math.min(Math.abs(this.#vCurrent - seg.vPx) / zone, 1);
     const s = t * t * (3 - 2 * t);
-    return brake.factor + (1 - brake.factor) * s;
+    return factor + (1 - factor) * s;
   }
 
-  /** Drain #wheelRemaining across rAF frames. */
+  /**
+   * Share of the remaining wheel distance to drain over `dt` ms: `smooth`
+   * per 1/60 s, or half per `halfLife` ms when that is set, so the feel
+   * does not depend on the refresh rate. A snap glides at the default
+   * rate while `smooth` is 0, since that only switches wheel input off.
+   * @param {number} dt
+   * @returns {number}
+   */
+  #drainRate(dt) {
+    const { halfLife } = this.wheel;
+    if (halfLife > 0) return 1 - Math.pow(0.5, dt / halfLife);
+    const smooth = this.wheel.smooth <= 0 && this.#snapping ? DEFAULT_SMOOTH : this.wheel.smooth;
+    if (smooth >= 1) return 1;
+    return 1 - Math.pow(1 - smooth, dt / FRAME_MS);
+  }
+
+  /** Advance the wheel motion across rAF frames. */
   #pumpWheel() {
-    this.#pumpRafId = this.#requestFrame(() => {
+    this.#pumpRafId = this.#requestFrame((now) => {
       if (!this.enabled) {
         this.#pumpRafId = null;
+        this.#stopPump();
         return;
       }
-      const drain = this.#wheelRemaining * this.wheel.smooth;
-      const delta = drain * this.#anchorDamping();
-      this.#wheelRemaining -= drain;
-      this.#handleWheel(delta);
-      if (Math.abs(this.#wheelRemaining) >= PUMP_STOP_PX) this.#pumpWheel();
+      // Frames without a timestamp (and the first of a run) count as 1/60 s.
+      const last = this.#pumpTime;
+      const dt = now !== undefined && last !== null ? Math.max(0, now - last) : FRAME_MS;
+      this.#pumpTime = now ?? null;
+      const step = this.#motion.step(dt, {
+        vCurrent: this.#vCurrent,
+        map: this.ensureMap(),
+        anchorDistance: this.#anchorDistance(),
+        snapping: this.#snapping,
+      });
+      this.#handleWheel(step * this.#anchorDamping());
+      if (Math.abs(this.#motion.remaining) >= PUMP_STOP_PX) this.#pumpWheel();
       else {
+        this.#motion.reset();
         this.#pumpRafId = null;
-        this.#trySnap();
+        this.#pumpTime = null;
+        if (this.#snapping) {
+          this.#endSnap(true);
+          return;
+        }
+        const target = this.#feedTarget;
+        this.#feedTarget = null;
+        // The pump stops up to PUMP_STOP_PX short; Home/End land exactly.
+        if (target !== null) this.#handleWheel(target - this.#vCurrent);
+        this.#endWheel();
+        if (target === null) this.#trySnap(this.#motionKind);
       }
     });
   }
 
-  /** Snap to nearest anchor if within range; reuses pump with damping bypass. */
-  #trySnap() {
-    if (this.#snapping) { this.#snapping = false; return; }
-    const { snap } = this.wheel;
-    if (!snap || !this.#data) return;
+  /**
+   * Snap distance after input of a kind: `wheel.snap` for the wheel,
+   * otherwise `snapAfter.distance` (default `wheel.snap`) unless
+   * `snapAfter` disables that kind (null then).
+   * @param {"wheel" | "keyboard" | "touch" | "scroll"} kind
+   * @returns {number | null}
+   */
+  #snapDistance(kind) {
+    if (kind === "wheel") return this.wheel.snap;
+    const after = this.snapAfter;
+    if (!after[kind]) return null;
+    const d = after.distance;
+    return typeof d === "number" && isFinite(d) && d >= 0 ? d : this.wheel.snap;
+  }
+
+  /**
+   * Snap to nearest anchor if within range; reuses pump with damping bypass.
+   * @param {"wheel" | "keyboard" | "touch" | "scroll"} kind - Input that just ended.
+   */
+  #trySnap(kind) {
+    this.#validateWheel();
+    const snap = this.#snapDistance(kind);
+    if (snap === null || !this.#data) return;
     const { segments, hasSnap } = this.#data;
     if (segments.length === 0) return;
+    // Anchors may widen their own range; search as far as the widest.
+    const reach = segments.reduce((m, seg) => Math.max(m, seg.snapRange ?? 0), snap);
+    if (!reach) return;
     const v = this.#vCurrent;
     const idx = this.#findSegment(segments, v);
     let nearest = 0, minDist = Infinity;
-    for (let i = idx; i >= 0; i--) {
-      const d = Math.abs(v - segments[i].vPx);
-      if (d > snap && d > minDist) break;
-      if (hasSnap && !segments[i].snap) continue;
-      if (d < minDist) { minDist = d; nearest = segments[i].vPx; }
-    }
-    for (let i = idx + 1; i < segments.length; i++) {
-      const d = Math.abs(v - segments[i].vPx);
-      if (d > snap && d > minDist) break;
-      if (hasSnap && !segments[i].snap) continue;
-      if (d < minDist) { minDist = d; nearest = segments[i].vPx; }
-    }
-    if (minDist > 0 && minDist <= snap) {
+    /** @param {Segment} seg */
+    const consider = (seg) => {
+      const d = Math.abs(v - seg.vPx);
+      if (hasSnap && !seg.snap) return;
+      if (d <= (seg.snapRange ?? snap) && d < minDist) { minDist = d; nearest = seg.vPx; }
+    };
+    for (let i = idx; i >= 0 && v - segments[i].vPx <= reach; i--) consider(segments[i]);
+    for (let i = idx + 1; i < segments.length && segments[i].vPx - v <= reach; i++) consider(segments[i]);
+    if (minDist > 0 && minDist !== Infinity) {
       this.#snapping = true;
-      this.#wheelRemaining = nearest - this.#vCurrent;
+      this.#snapTarget = nearest;
+      this.#emit("snapstart", { target: nearest });
+      this.#motion.reset();
+      this.#motion.add(nearest - this.#vCurrent);
       this.#pumpWheel();
     }
   }
@@ -452,7 +2485,7 @@ export class DualScrollSync {
   #handleWheel(delta) {
     const d = this.ensureMap();
     this.#vCurrent = Math.max(0, Math.min(d.vTotal, this.#vCurrent + delta));
-    this.#applyV();
+    this.#applyV(this.#inputSource);
   }
 }
 
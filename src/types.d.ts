@@ -4,19 +4,53 @@
  * @license MIT
  */
 
+/** Per-anchor snap and brake settings, overriding the global `wheel`
+ *  options near this anchor. Values that are not finite (or negative,
+ *  for the range and zone) are ignored. */
+export interface AnchorTuning {
+  /** Snap distance (virtual px) for this anchor, instead of `wheel.snap`
+   *  or `snapAfter.distance`. 0 never snaps to it. */
+  snapRange?: number;
+  /** Minimum drain-rate multiplier at this anchor, instead of
+   *  `wheel.brake.factor`. */
+  brakeFactor?: number;
+  /** Braking radius (virtual px) around this anchor, instead of
+   *  `wheel.brake.zone`. */
+  brakeZone?: number;
+}
+
+/** Fields shared by {@link Anchor} and {@link MultiAnchor}. */
+export interface AnchorBase extends AnchorTuning {
+  /** Mark this anchor as a snap target. When any anchor has snap: true,
+   *  only those anchors are considered for wheel snap. */
+  snap?: boolean;
+  /** Importance when anchors conflict. {@link buildMap} keeps the subset
+   *  of consistent anchors with the largest total weight. Non-positive or
+   *  non-finite values count as 1. @default 1 */
+  weight?: number;
+  /** Stable identity of the content this anchor marks. After a rebuild the
+   *  controller keeps the current position relative to the nearest
+   *  identified anchor, so edits elsewhere do not shift the view. */
+  id?: string;
+}
+
 /** A single anchor point mapping positions between two panes. */
-export interface Anchor {
+export interface Anchor extends AnchorBase {
   /** Pixel position in pane A (0 to scrollMaxA). */
   aPx: number;
   /** Pixel position in pane B (0 to scrollMaxB). */
   bPx: number;
-  /** Mark this anchor as a snap target. When any anchor has snap: true,
-   *  only those anchors are considered for wheel snap. */
-  snap?: boolean;
+}
+
+/** An anchor point for three or more panes: one position per pane. */
+export interface MultiAnchor extends AnchorBase {
+  /** Pixel position in each pane (0 to that pane's scrollMax), indexed
+   *  like the controller's `panes`. */
+  px: number[];
 }
 
 /** A segment in the scroll map. */
-export interface Segment {
+export interface Segment extends AnchorTuning {
   /** Pane A start position (px). */
   aPx: number;
   /** Pane B start position (px). */
@@ -27,10 +61,19 @@ export interface Segment {
   aS: number;
   /** Pane B segment length (px). */
   bS: number;
-  /** Virtual axis segment length: max(aS, bS). */
+  /** Virtual axis segment length: by default max(aS, bS) (max over all
+   *  panes); see {@link SegmentLength}. */
   vS: number;
+  /** Per-pane start positions (px). Present only on N-pane maps. */
+  px?: number[];
+  /** Per-pane segment lengths (px). Present only on N-pane maps. */
+  s?: number[];
   /** Whether the anchor at this segment's start is a snap target. */
   snap?: boolean;
+  /** `id` of the anchor at this segment's start, if it has one. The
+   *  anchor's usable `snapRange`, `brakeFactor` and `brakeZone` are copied
+   *  likewise. */
+  id?: string;
 }
 
 /** Axis key for position fields. */
@@ -39,23 +82,54 @@ export type AxisPos = "aPx" | "bPx" | "vPx";
 /** Axis key for segment-size fields. */
 export type AxisSize = "aS" | "bS" | "vS";
 
+/** Why an anchor was reported by {@link buildMap}.
+ *  - `"non-finite"` — a position is NaN, ±Infinity or missing (dropped).
+ *  - `"clamped"` — a position lies outside `[0, scrollMax]` and was
+ *    clamped (kept unless another issue is reported for it).
+ *  - `"duplicate"` — same pane-A position as a kept anchor or the origin
+ *    (dropped).
+ *  - `"non-monotonic"` — conflicts with the kept anchors (dropped). */
+export type AnchorIssue = "non-finite" | "clamped" | "duplicate" | "non-monotonic";
+
+/** One anchor issue found by {@link buildMap}. */
+export interface AnchorDiagnostic {
+  /** Index of the anchor in the input array. */
+  index: number;
+  reason: AnchorIssue;
+  /** Pane whose position caused the issue (not set for `"non-monotonic"`). */
+  pane?: number;
+}
+
 /** Result of {@link buildMap}. */
 export interface MapData {
   /** Ordered array of segments. */
   segments: Segment[];
   /** Total virtual axis length (px). */
   vTotal: number;
-  /** Number of anchors dropped due to non-monotonic bPx. */
+  /** Number of anchors dropped (`dropped.length`). */
   droppedCount: number;
+  /** Input indices of the dropped anchors, ascending. See
+   *  {@link diagnostics} for the reason behind each. */
+  dropped: number[];
+  /** Every anchor issue, ascending by index. An anchor may appear twice,
+   *  e.g. `"clamped"` and then `"duplicate"`. */
+  diagnostics: AnchorDiagnostic[];
   /** Whether any segment has snap: true. */
   hasSnap: boolean;
 }
 
-/** Scrollable pane interface. Any object satisfying this contract works. */
+/** Scroll direction of a pane: `"y"` uses scrollTop, `"x"` uses scrollLeft. */
+export type ScrollAxis = "x" | "y";
+
+/** Scrollable pane interface. Any object satisfying this contract works.
+ *  The `*Left`/`*Width` members are only read for panes on the x axis. */
 export interface ScrollPane {
   scrollTop: number;
   readonly scrollHeight: number;
   readonly clientHeight: number;
+  scrollLeft?: number;
+  readonly scrollWidth?: number;
+  readonly clientWidth?: number;
   addEventListener<K extends keyof HTMLElementEventMap>(
     type: K,
     handler: (e: HTMLElementEventMap[K]) => void,
@@ -81,10 +155,61 @@ export interface WheelBrakeOptions {
   zone: number;
 }
 
+/** State passed to {@link WheelMotion.step} each frame. */
+export interface WheelMotionContext {
+  /** Current virtual-axis position. */
+  vCurrent: number;
+  /** The current scroll map. */
+  map: MapData;
+  /** Virtual distance to the nearest anchor; Infinity without a map. */
+  anchorDistance: number;
+  /** Whether the motion is a snap to an anchor rather than user input. */
+  snapping: boolean;
+}
+
+/** Wheel motion model: turns wheel, keyboard, fling and snap input into
+ *  per-frame virtual-axis steps. The controller multiplies each step by
+ *  the `wheel.brake` factor (except while snapping), stops the motion once
+ *  `remaining` falls below 5 px, and then tries to snap. */
+export interface WheelMotion {
+  /** Virtual distance (signed px) still to travel. */
+  readonly remaining: number;
+  /** Add distance to travel: wheel and key deltas, snap distances. */
+  add(delta: number): void;
+  /** Continue a touch release at `velocity` (virtual px/ms). */
+  fling(velocity: number): void;
+  /** Advance `dt` ms and return the virtual distance to move this frame. */
+  step(dt: number, ctx: WheelMotionContext): number;
+  /** Stop at once. */
+  reset(): void;
+}
+
 /** Wheel behavior options. */
 export interface WheelOptions {
-  /** Interpolation factor (0–1). 0 = OFF, 1 = instant, (0,1) = interpolated. @default 0.1 */
+  /** Interpolation factor (0–1). 0 = OFF, 1 = instant, (0,1) = share of
+   *  the remaining distance drained per 1/60 s. Timed from frame timestamps,
+   *  so the feel is the same at any refresh rate. @default 0.1 */
   smooth: number;
+  /** Time (ms) in which half the remaining wheel distance drains. When set,
+   *  it replaces `smooth` as the drain rate; `smooth` still switches wheel
+   *  handling off (0) or to instant (1). @default 0 (use `smooth`) */
+  halfLife?: number;
+  /** Motion model for wheel, keyboard and fling momentum and for snapping:
+   *  - `"drain"`: covers a share of the remaining distance each frame, set
+   *    by `smooth` or `halfLife`; fast start, long tail.
+   *  - `"inertia"`: starts at the speed that, decelerating by `friction`,
+   *    comes to rest exactly at the target.
+   *  - `"spring"`: a critically damped spring of `stiffness` pulls towards
+   *    the target; gentle start, no overshoot.
+   *  - A {@link WheelMotion} object (one per controller) for custom physics.
+   *  `smooth` still switches wheel handling off (0) or to instant (1).
+   *  Unknown names throw a `RangeError`. @default "drain" */
+  motion?: "drain" | "inertia" | "spring" | WheelMotion;
+  /** Deceleration (virtual px/s²) of the `"inertia"` model. @default 4000 */
+  friction?: number;
+  /** Spring constant (1/s²) of the `"spring"` model; higher settles faster.
+   *  @default 200 */
+  stiffness?: number;
   /** Snap-to-anchor distance (virtual px). When the wheel pump stops within
    *  this range of an anchor, scroll animates to that anchor. 0 = disabled.
    *  @default 0 */
@@ -93,23 +218,225 @@ export interface WheelOptions {
   brake?: WheelBrakeOptions;
 }
 
+/** Options for `DualScrollSync.scrollTo()`. */
+export interface ScrollToOptions {
+  /** `"smooth"` animates along the virtual axis; `"instant"` jumps.
+   *  @default "instant" */
+  behavior?: "instant" | "smooth";
+  /** Animation length (ms) for `"smooth"`. @default 300 */
+  duration?: number;
+  /** Maps progress in [0, 1] to [0, 1]. @default cubic ease-in-out */
+  easing?: (t: number) => number;
+}
+
+/** Options for `DualScrollSync.nextAnchor()` / `prevAnchor()`. */
+export interface AnchorScrollOptions extends ScrollToOptions {
+  /** Only stop at anchors with `snap: true`. @default false */
+  snapOnly?: boolean;
+}
+
+/** Payload of the `sync` event and the `onSync` callback. */
+export interface SyncEvent {
+  /** Pane whose input moved the view: its native scroll, or wheel,
+   *  keyboard or touch input on it (including the momentum and snap that
+   *  follow). Null when the controller moved the view on its own
+   *  (`scrollTo`, anchor navigation, rebuild). */
+  source: number | null;
+  /** Virtual axis position (px) after the sync. */
+  vCurrent: number;
+  /** Index of the segment containing `vCurrent`. */
+  segment: number;
+  /** Fractional position within that segment, 0 to 1. */
+  progress: number;
+}
+
+/** Payload of the `snapstart` event. */
+export interface SnapEvent {
+  /** Virtual axis position (px) of the anchor being snapped to. */
+  target: number;
+}
+
+/** Payload of the `snapend` event. */
+export interface SnapEndEvent extends SnapEvent {
+  /** False when input or `scrollTo()` interrupted the snap. */
+  arrived: boolean;
+}
+
+/** The anchor section under the alignment line. */
+export interface ActiveSection {
+  /** Index of the section's anchor in the `getAnchors()` array. */
+  index: number;
+  /** The anchor's `id`, if it has one. */
+  id: string | undefined;
+  /** Index of the map segment starting at the anchor. */
+  segment: number;
+  /** Progress (0 to 1) from this anchor to the next section anchor, or
+   *  to the end of the map after the last one. */
+  progress: number;
+}
+
+/** Events of `DualScrollSync.on()` and their payloads. */
+export interface SyncEventMap {
+  /** After each scroll synchronization. */
+  sync: SyncEvent;
+  /** After each map rebuild. */
+  mapbuilt: MapData;
+  /** Wheel, keyboard or fling momentum starts moving the virtual axis. */
+  wheelstart: void;
+  /** That momentum has run out or was cancelled (before any snap). */
+  wheelend: void;
+  /** The wheel pump starts settling onto an anchor. */
+  snapstart: SnapEvent;
+  /** The snap has finished or was interrupted. */
+  snapend: SnapEndEvent;
+  /** Whatever `onError` receives. */
+  error: unknown;
+  /** After a sync that changed `activeSection` (by `id`, else by index). */
+  sectionchange: ActiveSection | null;
+}
+
+/** Which panes user input may drive: all of them, only pane A (the
+ *  others follow it), or only pane B. */
+export type SyncDirection = "both" | "a-to-b" | "b-to-a";
+
+/** How a segment's virtual length `vS` derives from the per-pane lengths
+ *  `s` between two anchors; within a segment a wheel pixel moves pane `i`
+ *  by `s[i] / vS` px.
+ *  - `"max"`: the longest pane scrolls at native speed, the others slower.
+ *  - `"a"` / `"b"`: pane A / B always scrolls at native speed; the other
+ *    moves faster or slower as the content requires.
+ *  - `"sum"`: every pane scrolls slower than native; the wheel travels the
+ *    content of all panes in turn.
+ *  - A function receives `s` (one length per pane) and returns `vS`.
+ *  A result that is not a positive number falls back to `"max"` for that
+ *  segment, so every position stays reachable. */
+export type SegmentLength = "max" | "a" | "b" | "sum" | ((s: number[]) => number);
+
+/** Interpolation between anchors: `"linear"` within each segment, or a
+ *  monotone cubic (Fritsch–Carlson) that passes through the same anchors
+ *  but makes each pane's speed change smoothly across them. */
+export type Interpolation = "linear" | "monotone";
+
+/** Options for {@link buildMap}. */
+export interface BuildMapOptions {
+  /** Virtual length policy for segments. @default "max" */
+  segmentLength?: SegmentLength;
+}
+
+/** Alignment-line offset for one pane: px, a percentage of the pane's
+ *  viewport, or a function returning px, called on each sync. */
+export type AlignOffset =
+  | number
+  | `${number}%`
+  | ((pane: ScrollPane, index: number) => number);
+
+/** Modifier key for decoupled scrolling. */
+export type DecoupleKey = "alt" | "shift" | "ctrl" | "meta";
+
+/** Snapping after input other than the wheel (`SyncOptions.snapAfter`). */
+export interface SnapAfterOptions {
+  /** Snap distance (virtual px) for these inputs. @default wheel.snap */
+  distance?: number | null;
+  /** Snap once native scrolling settles: scrollbar drags, and keyboard or
+   *  touch scrolling done by the browser. @default true */
+  scroll?: boolean;
+  /** Snap when momentum from the `keyboard` option ends, or after each
+   *  press when `wheel.smooth` is 1. @default true */
+  keyboard?: boolean;
+  /** Snap when a drag or fling from the `touch` option ends. @default true */
+  touch?: boolean;
+  /** Where the `scrollend` event is not supported, native scrolling counts
+   *  as settled after this long (ms) without scroll events. @default 150 */
+  idle?: number;
+}
+
 /** Options for {@link DualScrollSync}. */
 export interface SyncOptions {
-  /** Returns the current anchor points. Called on map rebuild. */
-  getAnchors: () => Anchor[];
+  /** Returns the current anchor points. Called on map rebuild. With three
+   *  or more panes, return {@link MultiAnchor}s. May return a promise: the
+   *  previous map stays in use until it resolves, results requested before
+   *  a later `invalidate()` are discarded, and rejections go to
+   *  {@link onError}. */
+  getAnchors: () => Array<Anchor | MultiAnchor> | PromiseLike<Array<Anchor | MultiAnchor>>;
   /** Called after each scroll synchronization. */
-  onSync?: () => void;
+  onSync?: (e: SyncEvent) => void;
   /** Called when the scroll map is rebuilt. */
   onMapBuilt?: (data: MapData) => void;
   /** Called when getAnchors() or buildMap() throws during ensureMap().
    *  Receives the thrown error. If omitted, errors are silently ignored
-   *  and an empty map is used. */
+   *  and an empty map is used. Also receives the rejection reason when a
+   *  promise from getAnchors() rejects (the previous map is kept), and
+   *  `AnchorDiagnosticsError` in {@link strict} mode. */
   onError?: (error: unknown) => void;
-  /** Viewport offset (px) for anchor alignment. Anchors align this many
-   *  pixels below the top of each pane. @default 0 */
-  alignOffset?: number;
-  /** Frame scheduler. Default: requestAnimationFrame (with setTimeout fallback). */
-  requestFrame?: (callback: () => void) => number;
+  /** Scroll axis for all panes, or one entry per pane. On the x axis,
+   *  anchors are measured from the content start edge, so RTL and
+   *  vertical-rl panes (negative scrollLeft) work unchanged; the direction
+   *  is read from computed style on each map rebuild. @default "y" */
+  axis?: ScrollAxis | ScrollAxis[];
+  /** Report {@link MapData.diagnostics} through `onError` as an
+   *  `AnchorDiagnosticsError` whenever a rebuilt map has any. The map is
+   *  used regardless. @default false */
+  strict?: boolean;
+  /** Only `snap: true` anchors start sections for `activeSection` and the
+   *  `sectionchange` event. @default false */
+  sectionSnapOnly?: boolean;
+  /** Sync direction. With `"a-to-b"`, scrolling, wheel, keyboard and touch
+   *  input on pane A move every pane, while the other panes scroll
+   *  natively on their own; `"b-to-a"` makes pane B the leader instead.
+   *  `scrollTo()` and other programmatic moves position every pane.
+   *  Mutable at runtime through the `direction` property. @default "both" */
+  direction?: SyncDirection;
+  /** Hold this modifier while using the wheel to scroll the pane under the
+   *  pointer alone, e.g. to fix a misalignment. The panes' positions at
+   *  the alignment line are then recorded as a correction anchor, layered
+   *  on top of the `getAnchors()` results with a weight that wins any
+   *  conflict. See `corrections` and `clearCorrections()`. Mutable at
+   *  runtime through the `decoupleKey` property. @default null */
+  decoupleKey?: DecoupleKey | null;
+  /** Viewport offset of the alignment line, where anchors line up: px
+   *  below the top (or start edge) of each pane, a share of the viewport
+   *  such as `"30%"`, or a function evaluated on each sync. An array gives
+   *  one value per pane, e.g. for different sticky toolbar heights;
+   *  missing entries count as 0. Mutable at runtime. @default 0 */
+  alignOffset?: AlignOffset | AlignOffset[];
+  /** How each segment's virtual length derives from the pane lengths,
+   *  which sets the relative speed of the panes under wheel, keyboard and
+   *  `scrollTo()` input. See {@link SegmentLength}. Unknown names throw a
+   *  `RangeError`. @default "max" */
+  segmentLength?: SegmentLength;
+  /** How positions are interpolated between anchors. `"monotone"` keeps
+   *  exact alignment at every anchor but removes the abrupt speed change of
+   *  the following pane there. Mutable at runtime through the
+   *  `interpolation` property. @default "linear" */
+  interpolation?: Interpolation;
+  /** Rebuild the map automatically when pane sizes or content change
+   *  (ResizeObserver, MutationObserver and `input` events). Changes are
+   *  coalesced into one rebuild per frame, after which the current
+   *  virtual position is re-applied. @default false */
+  autoInvalidate?: boolean;
+  /** Handle scrolling keys (arrows, PageUp/PageDown, Space, Home/End) on
+   *  the virtual axis, through the same smooth/brake/snap pipeline as the
+   *  wheel. A page is the viewport of the dominant pane at the current
+   *  position. Keys typed into editable elements are left alone. Disabled
+   *  while `wheel.smooth` is 0. @default false */
+  keyboard?: boolean;
+  /** Handle touch and pen drags (Pointer Events) on the virtual axis: the
+   *  dragged pane follows the finger, and on release the drag velocity
+   *  continues as wheel-pump momentum with the same brake and snap. Give
+   *  the panes `touch-action: none` (or `pan-x` for vertical panes) so
+   *  the browser does not scroll them natively. Disabled while
+   *  `wheel.smooth` is 0. @default false */
+  touch?: boolean;
+  /** Snapping after scrollbar, keyboard and touch scrolling, with its own
+   *  distance and a switch per input type. Snapping only happens with a
+   *  distance above 0, so by default only when `wheel.snap` is set.
+   *  Mutable at runtime through the `snapAfter` property. */
+  snapAfter?: SnapAfterOptions;
+  /** Frame scheduler. Default: requestAnimationFrame (with a setTimeout
+   *  fallback that passes `performance.now()`). The wheel pump and
+   *  animations use the timestamp passed to the callback when there is one
+   *  and assume 60 fps otherwise. */
+  requestFrame?: (callback: (time?: number) => void) => number;
   /** Cancel a scheduled frame. Default: cancelAnimationFrame (with clearTimeout fallback). */
   cancelFrame?: (id: number) => void;
   /** Wheel behavior. Omit for defaults (smooth: 0.1, no brake). */
@@ -1,6 +1,6 @@
 import { describe, test, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { buildMap, lookup, DualScrollSync } from '../src/index.js';
+import { buildMap, lookup, DualScrollSync, AnchorDiagnosticsError } from '../src/index.js';
 
 function near(actual, expected, tol) {
   tol = tol ?? 1;
@@ -71,13 +71,15 @@ describe('buildMap', () => {
   });
 
   test('droppedCount counts all dropped anchors', () => {
-    const { droppedCount } = buildMap([
+    const { droppedCount, dropped } = buildMap([
       { aPx: 100, bPx: 500 },
       { aPx: 200, bPx: 300 },
       { aPx: 300, bPx: 400 },
       { aPx: 400, bPx: 600 },
     ], 1000, 1000);
-    assert.equal(droppedCount, 2);
+    // Dropping the early outlier keeps three anchors instead of two.
+    assert.equal(droppedCount, 1);
+    assert.deepEqual(dropped, [0]);
   });
 
   test('anchors clamped to sMax', () => {
@@ -246,6 +248,21 @@ function makeSync(a, b, extra) {
   });
 }
 
+/**
+ * Mock panes (2000 / 3000 px) and a frame scheduler. `make(extra)` builds
+ * a makeSync instance on them that runs its frames through `sched`.
+ */
+function scheduledSync(defaults) {
+  const a = mockPane(2000), b = mockPane(3000), sched = syncScheduler();
+  const make = (extra) => makeSync(a, b, {
+    requestFrame: sched.requestFrame,
+    cancelFrame: sched.cancelFrame,
+    ...defaults,
+    ...extra,
+  });
+  return { a, b, sched, make };
+}
+
 /** Derive vCurrent from public API (scrollTop + lookup). */
 function deriveV(s) {
   const d = s.ensureMap();
@@ -1216,3 +1233,3089 @@ describe('snap false vs undefined', () => {
     }
   });
 });
+
+// ─── N panes ───
+
+describe('N panes', () => {
+  test('buildMap with sMax array: vS is max across all panes', () => {
+    const { segments, vTotal } = buildMap(
+      [{ px: [200, 600, 100] }], [1000, 1000, 2000]
+    );
+    assert.equal(segments.length, 2);
+    assert.deepEqual(segments[0].px, [0, 0, 0]);
+    assert.deepEqual(segments[0].s, [200, 600, 100]);
+    assert.equal(segments[0].vS, 600);
+    assert.deepEqual(segments[1].s, [800, 400, 1900]);
+    assert.equal(segments[1].vS, 1900);
+    assert.equal(vTotal, 2500);
+  });
+
+  test('aPx/bPx mirror panes 0 and 1', () => {
+    const { segments } = buildMap([{ px: [200, 600, 100] }], [1000, 1000, 2000]);
+    assert.equal(segments[1].aPx, 200);
+    assert.equal(segments[1].bPx, 600);
+    assert.equal(segments[1].aS, 800);
+    assert.equal(segments[1].bS, 400);
+  });
+
+  test('anchor non-monotonic in any pane is dropped', () => {
+    const { segments, droppedCount } = buildMap([
+      { px: [200, 200, 500] },
+      { px: [400, 400, 300] },
+      { px: [600, 600, 700] },
+    ], [1000, 1000, 1000]);
+    assert.equal(droppedCount, 1);
+    assert.deepEqual(segments.map(s => s.px[2]), [0, 500, 700]);
+  });
+
+  test('two-pane Anchor is accepted by the array form', () => {
+    const a = buildMap([{ aPx: 200, bPx: 600 }], [1000, 1000]);
+    const b = buildMap([{ aPx: 200, bPx: 600 }], 1000, 1000);
+    assert.deepEqual(a.segments.map(s => s.vPx), b.segments.map(s => s.vPx));
+  });
+
+  test('lookup maps between any pair of panes by index', () => {
+    const { segments } = buildMap([{ px: [200, 600, 100] }], [1000, 1000, 2000]);
+    near(lookup(segments, 0, 1, 200), 600);
+    near(lookup(segments, 2, 0, 100), 200);
+    near(lookup(segments, 1, 2, 800), 100 + 1900 * 0.5);
+    near(lookup(segments, 'vPx', 2, 600), 100);
+  });
+
+  test('pane index 0/1 works on two-pane maps', () => {
+    const { segments } = buildMap([{ aPx: 200, bPx: 600 }], 1000, 1000);
+    near(lookup(segments, 0, 1, 200), 600);
+    near(lookup(segments, 1, 'aPx', 600), 200);
+  });
+
+  test('controller accepts a pane array and syncs every pane', () => {
+    const a = mockPane(2000), b = mockPane(3000), c = mockPane(1500);
+    const s = new DualScrollSync([a, b, c], {
+      getAnchors: () => [{ px: [200, 600, 300] }],
+      wheel: { smooth: 1 },
+    });
+    assert.equal(s.panes.length, 3);
+    assert.equal(s.paneA, a);
+    assert.equal(s.paneB, b);
+    a.scrollTop = 200;
+    a._fire('scroll');
+    near(b.scrollTop, 600);
+    near(c.scrollTop, 300);
+    c.scrollTop = 0;
+    c._fire('scroll');
+    near(a.scrollTop, 0);
+    near(b.scrollTop, 0);
+    s.destroy();
+  });
+
+  test('wheel moves all panes; echoes from every follower are absorbed', () => {
+    const a = mockPane(2000), b = mockPane(3000), c = mockPane(1500);
+    const s = new DualScrollSync([a, b, c], {
+      getAnchors: () => [{ px: [200, 600, 300] }],
+      wheel: { smooth: 1 },
+    });
+    a._fire('wheel', wheelEvent(300));
+    const v = s.vCurrent;
+    assert.ok(a.scrollTop > 0 && b.scrollTop > 0 && c.scrollTop > 0);
+    b._fire('scroll');
+    c._fire('scroll');
+    assert.equal(s.vCurrent, v);
+    s.destroy();
+  });
+
+  test('listeners registered and removed on every pane', () => {
+    const panes = [mockPane(2000), mockPane(3000), mockPane(1500)];
+    const s = new DualScrollSync(panes, { getAnchors: () => [] });
+    for (const p of panes) {
+      assert.equal(p._count('scroll'), 1);
+      assert.equal(p._count('wheel'), 1);
+    }
+    s.destroy();
+    for (const p of panes) {
+      assert.equal(p._count('scroll'), 0);
+      assert.equal(p._count('wheel'), 0);
+    }
+  });
+
+  test('fewer than two panes throws RangeError', () => {
+    assert.throws(
+      () => new DualScrollSync([mockPane(1000)], { getAnchors: () => [] }),
+      RangeError
+    );
+  });
+});
+
+// ─── scroll axis ───
+
+function mockPaneX(scrollWidth, clientWidth) {
+  const p = mockPane(500, 500);
+  p.scrollLeft = 0;
+  p.scrollWidth = scrollWidth;
+  p.clientWidth = clientWidth ?? 500;
+  return p;
+}
+
+/** Run fn with getComputedStyle stubbed to return the given style. */
+function withStyle(style, fn) {
+  const prev = globalThis.getComputedStyle;
+  globalThis.getComputedStyle = () => style;
+  try { fn(); } finally {
+    if (prev) globalThis.getComputedStyle = prev;
+    else delete globalThis.getComputedStyle;
+  }
+}
+
+describe('scroll axis', () => {
+  const anchors = () => [{ aPx: 200, bPx: 600 }];
+
+  test('axis "x" drives scrollLeft/scrollWidth', () => {
+    const a = mockPaneX(2000), b = mockPaneX(3000);
+    const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+    const d = s.ensureMap();
+    assert.equal(d.segments[1].aS, 1300);
+    assert.equal(d.segments[1].bS, 1900);
+    a.scrollLeft = 200;
+    a._fire('scroll');
+    near(b.scrollLeft, 600);
+    assert.equal(a.scrollTop, 0);
+    assert.equal(b.scrollTop, 0);
+    s.destroy();
+  });
+
+  test('per-pane axis mixes vertical and horizontal panes', () => {
+    const a = mockPane(2000), b = mockPaneX(3000);
+    const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: ['y', 'x'], wheel: { smooth: 1 } });
+    a.scrollTop = 200;
+    a._fire('scroll');
+    near(b.scrollLeft, 600);
+    b.scrollLeft = 0;
+    b._fire('scroll');
+    near(a.scrollTop, 0);
+    s.destroy();
+  });
+
+  test('RTL pane uses negative scrollLeft', () => {
+    withStyle({ writingMode: 'horizontal-tb', direction: 'rtl' }, () => {
+      const a = mockPaneX(2000), b = mockPaneX(3000);
+      const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+      a.scrollLeft = -200;
+      a._fire('scroll');
+      near(b.scrollLeft, -600);
+      s.scrollTo(0);
+      assert.equal(a.scrollLeft, 0);
+      s.destroy();
+    });
+  });
+
+  test('vertical-rl pane is reversed, vertical-lr is not', () => {
+    withStyle({ writingMode: 'vertical-rl', direction: 'ltr' }, () => {
+      const a = mockPaneX(2000), b = mockPaneX(3000);
+      const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+      s.scrollTo(s.ensureMap().segments[1].vPx);
+      near(a.scrollLeft, -200);
+      near(b.scrollLeft, -600);
+      s.destroy();
+    });
+    withStyle({ writingMode: 'vertical-lr', direction: 'rtl' }, () => {
+      const a = mockPaneX(2000), b = mockPaneX(3000);
+      const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+      s.scrollTo(s.ensureMap().segments[1].vPx);
+      near(a.scrollLeft, 200);
+      s.destroy();
+    });
+  });
+
+  test('y-axis panes ignore computed direction', () => {
+    withStyle({ writingMode: 'horizontal-tb', direction: 'rtl' }, () => {
+      const a = mockPane(2000), b = mockPane(3000);
+      const s = makeSync(a, b);
+      a.scrollTop = 200;
+      a._fire('scroll');
+      near(b.scrollTop, 600);
+      s.destroy();
+    });
+  });
+
+  test('x-axis wheel uses deltaX, falling back to deltaY', () => {
+    const a = mockPaneX(2000), b = mockPaneX(3000);
+    const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+    a._fire('wheel', { ...wheelEvent(0), deltaX: 100 });
+    near(s.vCurrent, 100);
+    a._fire('wheel', wheelEvent(50));
+    near(s.vCurrent, 150);
+    s.destroy();
+  });
+
+  test('x-axis wheel on a reversed pane flips deltaX', () => {
+    withStyle({ writingMode: 'vertical-rl', direction: 'ltr' }, () => {
+      const a = mockPaneX(2000), b = mockPaneX(3000);
+      const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+      a._fire('wheel', { ...wheelEvent(0), deltaX: -100 });
+      near(s.vCurrent, 100);
+      assert.ok(a.scrollLeft < 0);
+      s.destroy();
+    });
+  });
+
+  test('deltaMode=2 uses the receiving pane\'s viewport along its axis', () => {
+    const a = mockPaneX(2000, 400), b = mockPaneX(3000);
+    const s = new DualScrollSync(a, b, { getAnchors: anchors, axis: 'x', wheel: { smooth: 1 } });
+    a._fire('wheel', { ...wheelEvent(1), deltaMode: 2 });
+    near(s.vCurrent, 400);
+    s.destroy();
+  });
+});
+
+// ─── autoInvalidate ───
+
+/** Install fake ResizeObserver/MutationObserver globals; returns handles. */
+function fakeObservers() {
+  const created = { resize: [], mutation: [] };
+  class FakeObserver {
+    constructor(cb) { this.cb = cb; this.targets = []; this.observeCalls = 0; this.disconnected = false; }
+    observe(target) { this.observeCalls++; if (!this.targets.includes(target)) this.targets.push(target); }
+    unobserve(target) { this.targets = this.targets.filter((t) => t !== target); }
+    disconnect() { this.disconnected = true; this.targets = []; }
+    trigger(records = []) { this.cb(records, this); }
+  }
+  class FakeResizeObserver extends FakeObserver {
+    constructor(cb) { super(cb); created.resize.push(this); }
+  }
+  class FakeMutationObserver extends FakeObserver {
+    constructor(cb) { super(cb); created.mutation.push(this); }
+  }
+  const prevRO = globalThis.ResizeObserver, prevMO = globalThis.MutationObserver;
+  globalThis.ResizeObserver = FakeResizeObserver;
+  globalThis.MutationObserver = FakeMutationObserver;
+  return {
+    created,
+    restore() {
+      if (prevRO) globalThis.ResizeObserver = prevRO; else delete globalThis.ResizeObserver;
+      if (prevMO) globalThis.MutationObserver = prevMO; else delete globalThis.MutationObserver;
+    },
+  };
+}
+
+describe('autoInvalidate', () => {
+  let obs, sched, a, b, make;
+  beforeEach(() => {
+    obs = fakeObservers();
+    ({ a, b, sched, make } = scheduledSync({ autoInvalidate: true }));
+    a.children = [{ id: 'a-child', nodeType: 1 }];
+    b.children = [];
+  });
+
+  test('observes panes, their children and input events', () => {
+    const s = make();
+    const [ro] = obs.created.resize;
+    const [mo] = obs.created.mutation;
+    assert.deepEqual(ro.targets, [a, a.children[0], b]);
+    assert.deepEqual(mo.targets, [a, b]);
+    assert.equal(a._count('input'), 1);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('off by default', () => {
+    const s = makeSync(a, b);
+    assert.equal(obs.created.resize.length, 0);
+    assert.equal(obs.created.mutation.length, 0);
+    assert.equal(a._count('input'), 0);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('notifications coalesce into one rebuild per frame', () => {
+    let builds = 0;
+    const s = make({ onMapBuilt: () => builds++ });
+    s.ensureMap();
+    assert.equal(builds, 1);
+    obs.created.resize[0].trigger();
+    obs.created.mutation[0].trigger();
+    a._fire('input');
+    assert.equal(sched.pending, 1);
+    sched.drain();
+    assert.equal(builds, 2);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('re-applies the current position after rebuild', () => {
+    const s = make();
+    const v = s.ensureMap().segments[1].vPx;
+    s.scrollTo(v);
+    near(b.scrollTop, 600);
+    // Layout shifts pane B without a sync (e.g. content reflow above).
+    b.scrollTop = 450;
+    b.scrollHeight = 3300;
+    obs.created.resize[0].trigger();
+    sched.drain();
+    assert.equal(s.vCurrent, v);
+    near(a.scrollTop, 200);
+    near(b.scrollTop, 600);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('content growing above the viewport does not move the view', () => {
+    let bAnchor = 1000;
+    a.scrollHeight = 3000;
+    const s = make({ getAnchors: () => [{ aPx: 1000, bPx: bAnchor }] });
+    a.scrollTop = 1500;
+    a._fire('scroll');
+    near(b.scrollTop, 1500);
+    // 500 px inserted near the top of B; no anchor carries an id.
+    bAnchor = 1500;
+    b.scrollHeight += 500;
+    obs.created.resize[0].trigger();
+    sched.drain();
+    near(a.scrollTop, 1500);
+    near(b.scrollTop, 2000);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('does not move panes before any sync has happened', () => {
+    a.scrollTop = 300;
+    const s = make();
+    obs.created.resize[0].trigger();
+    sched.drain();
+    assert.equal(a.scrollTop, 300);
+    s.destroy();
+    obs.restore();
+  });
+
+  /** A childList mutation record on `target`. */
+  const childList = (target, added, removed = []) => ({
+    type: 'childList', target, addedNodes: added, removedNodes: removed,
+  });
+
+  test('new children are observed after a mutation', () => {
+    const s = make();
+    const child = { id: 'b-child', nodeType: 1, parentNode: b };
+    const text = { nodeType: 3, parentNode: b };
+    b.children.push(child);
+    obs.created.mutation[0].trigger([childList(b, [child, text])]);
+    assert.deepEqual(obs.created.resize[0].targets, [a, a.children[0], b, child]);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('removed children are unobserved after a mutation', () => {
+    const s = make();
+    const [child] = a.children;
+    a.children = [];
+    obs.created.mutation[0].trigger([childList(a, [], [child])]);
+    assert.deepEqual(obs.created.resize[0].targets, [a, b]);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('other mutations do not re-observe anything', () => {
+    const s = make();
+    const ro = obs.created.resize[0];
+    const calls = ro.observeCalls;
+    const deep = { nodeType: 1, parentNode: a.children[0] };
+    obs.created.mutation[0].trigger([
+      { type: 'characterData', target: a.children[0], addedNodes: [], removedNodes: [] },
+      childList(a.children[0], [deep]),
+    ]);
+    assert.equal(ro.observeCalls, calls);
+    assert.equal(sched.pending, 1);
+    s.destroy();
+    obs.restore();
+  });
+
+  test('destroy disconnects observers and cancels pending rebuild', () => {
+    const s = make();
+    obs.created.resize[0].trigger();
+    assert.equal(sched.pending, 1);
+    s.destroy();
+    assert.equal(sched.pending, 0);
+    assert.equal(obs.created.resize[0].disconnected, true);
+    assert.equal(obs.created.mutation[0].disconnected, true);
+    assert.equal(a._count('input'), 0);
+    obs.restore();
+  });
+
+  test('missing observer globals are tolerated', () => {
+    obs.restore();
+    const prevRO = globalThis.ResizeObserver, prevMO = globalThis.MutationObserver;
+    delete globalThis.ResizeObserver;
+    delete globalThis.MutationObserver;
+    try {
+      const s = make();
+      a._fire('input');
+      assert.equal(sched.pending, 1);
+      s.destroy();
+    } finally {
+      if (prevRO) globalThis.ResizeObserver = prevRO;
+      if (prevMO) globalThis.MutationObserver = prevMO;
+    }
+  });
+});
+
+// ─── keyboard ───
+
+function keyEvent(key, extra) {
+  const e = {
+    key, target: null, defaultPrevented: false,
+    shiftKey: false, altKey: false, ctrlKey: false, metaKey: false,
+    prevented: false,
+    preventDefault() { e.prevented = true; },
+    ...extra,
+  };
+  return e;
+}
+
+describe('keyboard', () => {
+  let a, b, sched, make;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync());
+  });
+
+  test('off by default', () => {
+    const s = makeSync(a, b);
+    assert.equal(a._count('keydown'), 0);
+    s.destroy();
+  });
+
+  test('registers and removes keydown listeners', () => {
+    const s = makeSync(a, b, { keyboard: true });
+    assert.equal(a._count('keydown'), 1);
+    assert.equal(b._count('keydown'), 1);
+    s.destroy();
+    assert.equal(a._count('keydown'), 0);
+    assert.equal(b._count('keydown'), 0);
+  });
+
+  test('arrow keys move 40 virtual px', () => {
+    const s = makeSync(a, b, { keyboard: true });
+    const e = keyEvent('ArrowDown');
+    a._fire('keydown', e);
+    assert.equal(e.prevented, true);
+    near(s.vCurrent, 40, 0.01);
+    b._fire('keydown', keyEvent('ArrowUp'));
+    near(s.vCurrent, 0, 0.01);
+    s.destroy();
+  });
+
+  test('PageDown moves by the dominant pane viewport', () => {
+    // Segment 0: aS=200, bS=600 → pane B dominant (viewport 300).
+    b.clientHeight = 300;
+    const s = makeSync(a, b, { keyboard: true });
+    a._fire('keydown', keyEvent('PageDown'));
+    near(s.vCurrent, 300, 0.01);
+    near(b.scrollTop, 300);
+    a._fire('keydown', keyEvent('PageUp'));
+    near(s.vCurrent, 0, 0.01);
+    s.destroy();
+  });
+
+  test('PageDown uses pane A viewport where A is dominant', () => {
+    a.clientHeight = 250;
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [{ aPx: 800, bPx: 100 }],
+      wheel: { smooth: 1 },
+      keyboard: true,
+    });
+    a._fire('keydown', keyEvent('PageDown'));
+    near(s.vCurrent, 250, 0.01);
+    s.destroy();
+  });
+
+  test('Space and Shift+Space page down and up', () => {
+    const s = makeSync(a, b, { keyboard: true });
+    a._fire('keydown', keyEvent(' '));
+    near(s.vCurrent, 500, 0.01);
+    a._fire('keydown', keyEvent(' ', { shiftKey: true }));
+    near(s.vCurrent, 0, 0.01);
+    s.destroy();
+  });
+
+  test('Home and End go to the ends of the virtual axis', () => {
+    const s = makeSync(a, b, { keyboard: true });
+    const { vTotal } = s.ensureMap();
+    a._fire('keydown', keyEvent('End'));
+    near(s.vCurrent, vTotal, 0.01);
+    a._fire('keydown', keyEvent('Home'));
+    assert.equal(s.vCurrent, 0);
+    s.destroy();
+  });
+
+  test('keys go through the pump when smooth < 1', () => {
+    const s = make({ keyboard: true, wheel: { smooth: 0.5 } });
+    a._fire('keydown', keyEvent('End'));
+    assert.equal(s.vCurrent, 0, 'not applied synchronously');
+    sched.drain(1);
+    const { vTotal } = s.ensureMap();
+    near(s.vCurrent, vTotal / 2, 1);
+    sched.drain();
+    near(s.vCurrent, vTotal, 5);
+    s.destroy();
+  });
+
+  test('keys with brake slow down near anchors', () => {
+    const s = make({ keyboard: true, wheel: { smooth: 0.5, brake: { factor: 0.5, zone: 100 } } });
+    a._fire('keydown', keyEvent('ArrowDown'));
+    sched.drain(1);
+    near(s.vCurrent, 40 * 0.5 * 0.5, 0.5);
+    s.destroy();
+  });
+
+  test('Home and End land exactly on the ends despite brake and snap', () => {
+    const anchors = Array.from({ length: 9 }, (_, i) => ({ aPx: 150 * (i + 1), bPx: 250 * (i + 1) }));
+    const s = make({
+      keyboard: true, getAnchors: () => anchors,
+      wheel: { smooth: 0.2, snap: 100, brake: { factor: 0.2, zone: 200 } },
+    });
+    const { vTotal } = s.ensureMap();
+    a._fire('keydown', keyEvent('End'));
+    sched.drain(1000);
+    assert.equal(sched.pending, 0);
+    assert.equal(s.vCurrent, vTotal);
+    a._fire('keydown', keyEvent('Home'));
+    sched.drain(1000);
+    assert.equal(s.vCurrent, 0);
+    s.destroy();
+  });
+
+  test('editable targets, modifiers and handled events are ignored', () => {
+    const s = makeSync(a, b, { keyboard: true });
+    a._fire('keydown', keyEvent('PageDown', { target: { tagName: 'TEXTAREA' } }));
+    a._fire('keydown', keyEvent('PageDown', { target: { isContentEditable: true } }));
+    a._fire('keydown', keyEvent('PageDown', { ctrlKey: true }));
+    a._fire('keydown', keyEvent('ArrowDown', { shiftKey: true }));
+    a._fire('keydown', keyEvent('PageDown', { defaultPrevented: true }));
+    a._fire('keydown', keyEvent('a'));
+    a._fire('keydown', keyEvent('ArrowRight'));
+    assert.equal(s.vCurrent, 0);
+    s.destroy();
+  });
+
+  test('ArrowLeft/Right scroll x-axis panes, flipped when reversed', () => {
+    withStyle({ writingMode: 'vertical-rl', direction: 'ltr' }, () => {
+      const ax = mockPaneX(2000), bx = mockPaneX(3000);
+      const s = new DualScrollSync(ax, bx, {
+        getAnchors: () => [{ aPx: 200, bPx: 600 }],
+        axis: 'x', keyboard: true, wheel: { smooth: 1 },
+      });
+      ax._fire('keydown', keyEvent('ArrowLeft'));
+      near(s.vCurrent, 40, 0.01);
+      ax._fire('keydown', keyEvent('ArrowRight'));
+      near(s.vCurrent, 0, 0.01);
+      s.destroy();
+    });
+  });
+
+  test('smooth=0 leaves keys to the browser', () => {
+    const s = makeSync(a, b, { keyboard: true, wheel: { smooth: 0 } });
+    const e = keyEvent('PageDown');
+    a._fire('keydown', e);
+    assert.equal(e.prevented, false);
+    assert.equal(s.vCurrent, 0);
+    s.destroy();
+  });
+});
+
+// ─── touch ───
+
+function pointer(type, clientY, timeStamp, extra) {
+  return { type, pointerType: 'touch', pointerId: 1, clientX: 0, clientY, timeStamp, ...extra };
+}
+
+describe('touch', () => {
+  let a, b, sched, make;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync({ touch: true, wheel: { smooth: 0.5 } }));
+  });
+
+  test('registers and removes pointer listeners only when enabled', () => {
+    const plain = makeSync(a, b);
+    assert.equal(a._count('pointerdown'), 0);
+    plain.destroy();
+    const s = make();
+    for (const t of ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']) {
+      assert.equal(a._count(t), 1);
+      assert.equal(b._count(t), 1);
+    }
+    s.destroy();
+    for (const t of ['pointerdown', 'pointermove', 'pointerup', 'pointercancel']) {
+      assert.equal(a._count(t), 0);
+    }
+  });
+
+  test('dragged pane follows the finger exactly', () => {
+    const s = make();
+    // Segment 0: aS=200, bS=600 — pane A is the slow pane here.
+    a._fire('pointerdown', pointer('pointerdown', 500, 0));
+    a._fire('pointermove', pointer('pointermove', 400, 16));
+    near(a.scrollTop, 100);
+    near(b.scrollTop, 300);
+    b._fire('pointerdown', pointer('pointerdown', 500, 20, { pointerId: 2 }));
+    near(a.scrollTop, 100, 0.01, 'second pointer ignored');
+    a._fire('pointerup', pointer('pointerup', 400, 300));
+    s.destroy();
+  });
+
+  test('mouse pointers are ignored', () => {
+    const s = make();
+    a._fire('pointerdown', pointer('pointerdown', 500, 0, { pointerType: 'mouse' }));
+    a._fire('pointermove', pointer('pointermove', 400, 16, { pointerType: 'mouse' }));
+    assert.equal(a.scrollTop, 0);
+    s.destroy();
+  });
+
+  test('fast release flings through the pump', () => {
+    const s = make();
+    a._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    for (let i = 1; i <= 5; i++) {
+      b._fire('pointermove', pointer('pointermove', 1000 - i * 20, i * 10));
+    }
+    const vRelease = s.vCurrent;
+    a._fire('pointerup', pointer('pointerup', 900, 55));
+    assert.equal(sched.pending, 1, 'momentum pump started');
+    sched.drain();
+    assert.ok(s.vCurrent > vRelease + 50, `expected fling past ${vRelease}, got ${s.vCurrent}`);
+    s.destroy();
+  });
+
+  test('holding still before release cancels the fling', () => {
+    const s = make();
+    a._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    a._fire('pointermove', pointer('pointermove', 900, 10));
+    const v = s.vCurrent;
+    a._fire('pointerup', pointer('pointerup', 900, 500));
+    sched.drain();
+    assert.equal(s.vCurrent, v);
+    s.destroy();
+  });
+
+  test('slow release snaps to a nearby anchor', () => {
+    const s = make({
+      getAnchors: () => [{ aPx: 200, bPx: 600, snap: true }],
+      wheel: { smooth: 0.5, snap: 50 },
+    });
+    // Drag pane B to 30px before the anchor (v = b in segment 0).
+    b._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    b._fire('pointermove', pointer('pointermove', 430, 10));
+    near(s.vCurrent, 570);
+    b._fire('pointerup', pointer('pointerup', 430, 400));
+    sched.drain();
+    near(s.vCurrent, 600, 5);
+    s.destroy();
+  });
+
+  test('fling ends with snap', () => {
+    const s = make({
+      getAnchors: () => [{ aPx: 200, bPx: 600, snap: true }],
+      wheel: { smooth: 0.5, snap: 250 },
+    });
+    s.scrollTo(350);
+    b._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    b._fire('pointermove', pointer('pointermove', 990, 10));
+    b._fire('pointerup', pointer('pointerup', 990, 20));
+    sched.drain(1);
+    assert.ok(s.vCurrent > 360 && s.vCurrent < 450, `momentum step, got ${s.vCurrent}`);
+    sched.drain();
+    near(s.vCurrent, 600, 5);
+    s.destroy();
+  });
+
+  test('touching the pane stops running momentum', () => {
+    const s = make();
+    a._fire('wheel', wheelEvent(500));
+    sched.drain(1);
+    assert.equal(sched.pending, 1);
+    a._fire('pointerdown', pointer('pointerdown', 500, 0));
+    assert.equal(sched.pending, 0);
+    s.destroy();
+  });
+
+  test('pointercancel ends the drag without momentum', () => {
+    const s = make();
+    a._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    a._fire('pointermove', pointer('pointermove', 900, 10));
+    a._fire('pointercancel', pointer('pointercancel', 900, 11));
+    assert.equal(sched.pending, 0);
+    const v = s.vCurrent;
+    a._fire('pointermove', pointer('pointermove', 800, 20));
+    assert.equal(s.vCurrent, v);
+    s.destroy();
+  });
+
+  test('horizontal reversed pane maps finger direction', () => {
+    withStyle({ writingMode: 'vertical-rl', direction: 'ltr' }, () => {
+      const ax = mockPaneX(2000), bx = mockPaneX(3000);
+      const s = new DualScrollSync(ax, bx, {
+        getAnchors: () => [{ aPx: 200, bPx: 600 }],
+        axis: 'x', touch: true, wheel: { smooth: 0.5 },
+        requestFrame: sched.requestFrame, cancelFrame: sched.cancelFrame,
+      });
+      // Finger moves right → content start edge recedes → scroll forward.
+      bx._fire('pointerdown', pointer('pointerdown', 0, 0, { clientX: 100 }));
+      bx._fire('pointermove', pointer('pointermove', 0, 10, { clientX: 200 }));
+      near(bx.scrollLeft, -100);
+      s.destroy();
+    });
+  });
+});
+
+// ─── conflict resolution ───
+
+describe('conflict resolution', () => {
+  test('one early outlier does not discard the anchors after it', () => {
+    const anchors = [{ aPx: 50, bPx: 900 }];
+    for (let i = 1; i <= 8; i++) anchors.push({ aPx: i * 100, bPx: i * 100 });
+    const { segments, dropped } = buildMap(anchors, 1000, 1000);
+    assert.deepEqual(dropped, [0]);
+    assert.equal(segments.length, 9);
+  });
+
+  test('dropped lists input indices regardless of input order', () => {
+    const { dropped } = buildMap([
+      { aPx: 600, bPx: 600 },
+      { aPx: 400, bPx: 100 }, // conflicts with aPx=200
+      { aPx: 200, bPx: 200 },
+    ], 1000, 1000);
+    assert.deepEqual(dropped, [1]);
+  });
+
+  test('weight decides which side of a conflict survives', () => {
+    const anchors = [
+      { aPx: 100, bPx: 100 },
+      { aPx: 200, bPx: 200 },
+      { aPx: 300, bPx: 50, weight: 5 },
+    ];
+    const { segments, dropped } = buildMap(anchors, 1000, 1000);
+    assert.deepEqual(dropped, [0, 1]);
+    assert.deepEqual(segments.map(s => s.aPx), [0, 300]);
+  });
+
+  test('invalid weights count as 1', () => {
+    const { dropped } = buildMap([
+      { aPx: 100, bPx: 500, weight: -3 },
+      { aPx: 200, bPx: 100, weight: NaN },
+      { aPx: 300, bPx: 200, weight: Infinity },
+    ], 1000, 1000);
+    assert.deepEqual(dropped, [0]);
+  });
+
+  test('equal-weight ties keep the earlier anchor', () => {
+    const { dropped } = buildMap([
+      { aPx: 200, bPx: 500 },
+      { aPx: 400, bPx: 300 },
+      { aPx: 600, bPx: 800 },
+    ], 1000, 1000);
+    assert.deepEqual(dropped, [1]);
+  });
+
+  test('anchors at aPx=0 and duplicate aPx are dropped', () => {
+    const { dropped } = buildMap([
+      { aPx: 0, bPx: 100 },
+      { aPx: 300, bPx: 300 },
+      { aPx: 300, bPx: 400 },
+    ], 1000, 1000);
+    assert.deepEqual(dropped, [0, 2]);
+  });
+
+  test('equal bPx is allowed in a chain', () => {
+    const { dropped } = buildMap([
+      { aPx: 100, bPx: 300 },
+      { aPx: 200, bPx: 300 },
+    ], 1000, 1000);
+    assert.deepEqual(dropped, []);
+  });
+
+  test('N-pane maps keep the heaviest chain across all panes', () => {
+    const { dropped, segments } = buildMap([
+      { px: [100, 100, 900] },
+      { px: [200, 200, 200] },
+      { px: [300, 300, 300] },
+      { px: [400, 400, 400] },
+    ], [1000, 1000, 1000]);
+    assert.deepEqual(dropped, [0]);
+    assert.equal(segments.length, 4);
+  });
+
+  test('kept chain is always monotonic (randomised)', () => {
+    let seed = 7;
+    const rand = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    for (let round = 0; round < 20; round++) {
+      const anchors = [];
+      for (let i = 0; i < 60; i++) {
+        anchors.push({ aPx: Math.floor(rand() * 5000), bPx: Math.floor(rand() * 5000) });
+      }
+      const { segments, dropped } = buildMap(anchors, 5000, 5000);
+      for (let i = 1; i < segments.length; i++) {
+        assert.ok(segments[i].aPx > segments[i - 1].aPx || segments[i].aS === 0);
+        assert.ok(segments[i].bPx >= segments[i - 1].bPx);
+      }
+      assert.equal(segments.length - 1 + dropped.length, anchors.length);
+      // Same answer as the O(n²) path used for N panes.
+      const multi = buildMap(anchors.map(a => ({ px: [a.aPx, a.bPx, 0] })), [5000, 5000, 0]);
+      assert.deepEqual(multi.dropped, dropped);
+    }
+  });
+});
+
+// ─── diagnostics ───
+
+describe('diagnostics', () => {
+  test('empty when all anchors are clean', () => {
+    const { diagnostics } = buildMap([{ aPx: 200, bPx: 600 }], 1000, 1000);
+    assert.deepEqual(diagnostics, []);
+  });
+
+  test('reports each issue with input index and reason', () => {
+    const { diagnostics, dropped, segments } = buildMap([
+      { aPx: 200, bPx: 200 },        // 0 ok
+      { aPx: NaN, bPx: 300 },        // 1 non-finite
+      { aPx: 200, bPx: 250 },        // 2 duplicate aPx
+      { aPx: 400, bPx: 100 },        // 3 non-monotonic
+      { aPx: 600, bPx: 5000 },       // 4 clamped (kept)
+      { aPx: 700, bPx: Infinity },   // 5 non-finite
+      { aPx: -50, bPx: 0 },          // 6 clamped to 0 → duplicate of origin
+    ], 1000, 1000);
+    assert.deepEqual(diagnostics, [
+      { index: 1, reason: 'non-finite', pane: 0 },
+      { index: 2, reason: 'duplicate', pane: 0 },
+      { index: 3, reason: 'non-monotonic' },
+      { index: 4, reason: 'clamped', pane: 1 },
+      { index: 5, reason: 'non-finite', pane: 1 },
+      { index: 6, reason: 'clamped', pane: 0 },
+      { index: 6, reason: 'duplicate', pane: 0 },
+    ]);
+    assert.deepEqual(dropped, [1, 2, 3, 5, 6]);
+    assert.ok(segments.every(s => Number.isFinite(s.vPx) && Number.isFinite(s.vS)));
+  });
+
+  test('missing N-pane positions are non-finite', () => {
+    const { diagnostics } = buildMap([{ aPx: 100, bPx: 100 }], [1000, 1000, 1000]);
+    assert.deepEqual(diagnostics, [{ index: 0, reason: 'non-finite', pane: 2 }]);
+  });
+
+  test('empty map has no diagnostics', () => {
+    const s = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: () => { throw new Error('x'); },
+    });
+    assert.deepEqual(s.ensureMap().diagnostics, []);
+    s.destroy();
+  });
+});
+
+describe('strict mode', () => {
+  const bad = () => [{ aPx: 200, bPx: 600 }, { aPx: 300, bPx: 100 }, { aPx: NaN, bPx: 0 }];
+
+  test('routes diagnostics to onError on each rebuild', () => {
+    const errors = [];
+    const s = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: bad, strict: true, onError: (e) => errors.push(e),
+    });
+    const d = s.ensureMap();
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0] instanceof AnchorDiagnosticsError);
+    assert.ok(errors[0] instanceof Error);
+    assert.equal(errors[0].name, 'AnchorDiagnosticsError');
+    assert.equal(errors[0].message, 'Anchor issues: 1 non-monotonic, 1 non-finite');
+    assert.deepEqual(errors[0].diagnostics, d.diagnostics);
+    assert.equal(d.segments.length, 2, 'map is still used');
+    s.ensureMap();
+    assert.equal(errors.length, 1, 'cached map is not re-reported');
+    s.invalidate();
+    s.ensureMap();
+    assert.equal(errors.length, 2);
+    s.destroy();
+  });
+
+  test('off by default and silent for clean anchors', () => {
+    const errors = [];
+    const s1 = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: bad, onError: (e) => errors.push(e),
+    });
+    s1.ensureMap();
+    const s2 = makeSync(mockPane(2000), mockPane(3000), {
+      strict: true, onError: (e) => errors.push(e),
+    });
+    s2.ensureMap();
+    assert.equal(errors.length, 0);
+    s1.destroy();
+    s2.destroy();
+  });
+
+  test('strict can be toggled at runtime', () => {
+    const errors = [];
+    const s = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: bad, onError: (e) => errors.push(e),
+    });
+    s.strict = true;
+    s.ensureMap();
+    assert.equal(errors.length, 1);
+    s.destroy();
+  });
+});
+
+// ─── anchor ids ───
+
+describe('anchor ids', () => {
+  let a, b, shift;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+    shift = 0;
+  });
+
+  // Content of height `shift` is inserted at the top of both panes.
+  function make(extra) {
+    return new DualScrollSync(a, b, {
+      getAnchors: () => [
+        { aPx: 200 + shift, bPx: 600 + shift, id: 'h1' },
+        { aPx: 500 + shift, bPx: 800 + shift, id: 'h2' },
+      ],
+      wheel: { smooth: 1 },
+      ...extra,
+    });
+  }
+
+  function insertAbove(px) {
+    shift += px;
+    a.scrollHeight += px;
+    b.scrollHeight += px;
+  }
+
+  test('segments carry the anchor id', () => {
+    const { segments } = buildMap([
+      { aPx: 200, bPx: 600, id: 'h1' },
+      { aPx: 500, bPx: 800 },
+    ], 1500, 2500);
+    assert.deepEqual(segments.map(s => s.id), [undefined, 'h1', undefined]);
+    assert.ok(!('id' in segments[0]));
+  });
+
+  test('keeps the position relative to the nearest identified anchor', () => {
+    const s = make();
+    const h2 = s.ensureMap().segments[2].vPx;
+    s.scrollTo(h2 + 50);
+    const aBefore = a.scrollTop;
+    insertAbove(300);
+    s.invalidate();
+    const d = s.ensureMap();
+    assert.equal(s.vCurrent, d.segments[2].vPx + 50);
+    s.scrollTo(s.vCurrent);
+    near(a.scrollTop, aBefore + 300);
+    s.destroy();
+  });
+
+  test('nearest anchor may lie after the current position', () => {
+    const s = make();
+    const h2 = s.ensureMap().segments[2].vPx;
+    s.scrollTo(h2 - 20);
+    insertAbove(100);
+    s.invalidate();
+    const d = s.ensureMap();
+    assert.equal(s.vCurrent, d.segments[2].vPx - 20);
+    s.destroy();
+  });
+
+  test('position is kept as a number without ids or when the id is gone', () => {
+    const s1 = makeSync(a, b);
+    s1.scrollTo(700);
+    s1.invalidate();
+    s1.ensureMap();
+    assert.equal(s1.vCurrent, 700);
+    s1.destroy();
+
+    let anchors = [{ aPx: 200, bPx: 600, id: 'h1' }];
+    const s2 = new DualScrollSync(a, b, { getAnchors: () => anchors });
+    s2.scrollTo(700);
+    anchors = [{ aPx: 500, bPx: 900, id: 'other' }];
+    s2.invalidate();
+    s2.ensureMap();
+    assert.equal(s2.vCurrent, 700);
+    s2.destroy();
+  });
+
+  test('not applied before the first sync', () => {
+    const s = make();
+    s.ensureMap();
+    insertAbove(300);
+    s.invalidate();
+    s.ensureMap();
+    assert.equal(s.vCurrent, 0);
+    s.destroy();
+  });
+
+  test('result is clamped to the new vTotal', () => {
+    let anchors = [{ aPx: 1000, bPx: 2000, id: 'end' }];
+    const s = new DualScrollSync(a, b, { getAnchors: () => anchors });
+    s.scrollTo(s.ensureMap().vTotal);
+    const offset = s.vCurrent - s.ensureMap().segments[1].vPx;
+    assert.ok(offset > 0);
+    anchors = [{ aPx: 1500, bPx: 2500, id: 'end' }];
+    s.invalidate();
+    const d = s.ensureMap();
+    assert.equal(s.vCurrent, d.vTotal);
+    s.destroy();
+  });
+
+  test('content growing in the section under the view does not move it', () => {
+    const s = make();
+    a.scrollTop = 1200;
+    a._fire('scroll');
+    // Pane B grows below its viewport: the segment after h2 gets longer.
+    b.scrollHeight += 2000;
+    s.invalidate();
+    s.ensureMap();
+    near(s.aFromV(s.vCurrent), 1200, 0.01);
+    s.destroy();
+  });
+
+  test('autoInvalidate keeps content in place after an insertion above', () => {
+    const obs = fakeObservers();
+    const sched = syncScheduler();
+    const s = make({
+      autoInvalidate: true,
+      requestFrame: sched.requestFrame,
+      cancelFrame: sched.cancelFrame,
+    });
+    s.scrollTo(s.ensureMap().segments[2].vPx + 50);
+    const aBefore = a.scrollTop, bBefore = b.scrollTop;
+    insertAbove(300);
+    obs.created.mutation[0].trigger();
+    sched.drain();
+    near(a.scrollTop, aBefore + 300);
+    near(b.scrollTop, bBefore + 300);
+    s.destroy();
+    obs.restore();
+  });
+});
+
+// ─── patchAnchors ───
+
+describe('patchAnchors', () => {
+  // Deterministic pseudo-random sequence (LCG).
+  function rng(seed) {
+    return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+  }
+
+  function panes(n, heights) {
+    return heights.slice(0, n).map(h => mockPane(h));
+  }
+
+  /** Monotone anchors in (from, to) for `n` panes, ascending in pane A. */
+  function anchorsBetween(rand, from, to, count, n) {
+    const out = [];
+    let pos = from.slice();
+    for (let i = 0; i < count; i++) {
+      pos = pos.map((x, k) => x + 1 + Math.floor(rand() * ((to[k] - x) / (count - i + 1))));
+      if (pos[0] >= to[0]) break;
+      const px = pos.map((x, k) => Math.min(x, to[k]));
+      const e = n === 2 ? { aPx: px[0], bPx: px[1] } : { px };
+      if (rand() < 0.2) e.snap = true;
+      if (rand() < 0.2) e.id = `id${i}-${px[0]}`;
+      out.push(e);
+    }
+    return out;
+  }
+
+  for (const n of [2, 3]) {
+    test(`${n} panes: random patches match a full buildMap`, () => {
+      const rand = rng(42 + n);
+      const ps = panes(n, [20500, 30500, 15500]);
+      let anchors = anchorsBetween(rand, Array(n).fill(0), [20000, 30000, 15000], 200, n);
+      const s = new DualScrollSync(ps, { getAnchors: () => anchors });
+      const posA = (e) => e.aPx ?? e.px[0];
+      for (let round = 0; round < 100; round++) {
+        const sMax = ps.map(p => p.scrollHeight - p.clientHeight);
+        const i = Math.floor(rand() * anchors.length);
+        const j = Math.min(anchors.length - 1, i + Math.floor(rand() * 5));
+        const lo = i > 0 ? anchors[i - 1] : null;
+        const hi = j + 1 < anchors.length ? anchors[j + 1] : null;
+        const pt = (e) => (e.px ?? [e.aPx, e.bPx]);
+        const from = lo ? pt(lo) : Array(n).fill(0);
+        const to = hi ? pt(hi) : sMax;
+        const added = anchorsBetween(rand, from, to, Math.floor(rand() * 6), n)
+          .filter(e => !hi || posA(e) < posA(hi));
+        if (rand() < 0.3) ps.forEach(p => { p.scrollHeight += Math.floor(rand() * 200); });
+        const fromA = posA(anchors[i]), toA = posA(anchors[j]);
+        const d = s.patchAnchors(fromA, toA, added);
+        anchors = [...anchors.slice(0, i), ...added, ...anchors.slice(j + 1)];
+        const sMaxNow = ps.map(p => p.scrollHeight - p.clientHeight);
+        const full = n === 2
+          ? buildMap(anchors, sMaxNow[0], sMaxNow[1])
+          : buildMap(anchors, sMaxNow);
+        assert.deepEqual(d, full, `round ${round}`);
+        if (anchors.length === 0) break;
+      }
+      s.destroy();
+    });
+  }
+
+  test('reuses untouched leading segments', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [
+        { aPx: 200, bPx: 600 },
+        { aPx: 500, bPx: 800 },
+        { aPx: 900, bPx: 1500 },
+      ],
+    });
+    const before = s.ensureMap();
+    const after = s.patchAnchors(450, 550, [{ aPx: 520, bPx: 1000 }]);
+    assert.equal(after.segments[0], before.segments[0]);
+    assert.notEqual(after.segments[1], before.segments[1], 'ends at the patched run');
+    assert.deepEqual(after, buildMap([
+      { aPx: 200, bPx: 600 },
+      { aPx: 520, bPx: 1000 },
+      { aPx: 900, bPx: 1500 },
+    ], 1500, 2500));
+    assert.notEqual(before.segments[2].vPx + before.segments[2].vS, after.segments[3].vPx);
+    s.destroy();
+  });
+
+  test('patches maps with clamped anchors in place', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    let list = [
+      { aPx: 200, bPx: 600 },
+      { aPx: 500, bPx: 800 },
+      { aPx: 1400, bPx: 2600 },
+      { aPx: 1450, bPx: 2700 },
+    ];
+    const s = new DualScrollSync(a, b, { getAnchors: () => list });
+    const before = s.ensureMap();
+    assert.deepEqual(before.diagnostics.map((d) => [d.index, d.reason]), [[2, 'clamped'], [3, 'clamped']]);
+    const after = s.patchAnchors(450, 550, [{ aPx: 480, bPx: 700 }, { aPx: 520, bPx: 900 }]);
+    assert.equal(after.segments[0], before.segments[0], 'patched, not rebuilt');
+    list = [list[0], { aPx: 480, bPx: 700 }, { aPx: 520, bPx: 900 }, list[2], list[3]];
+    assert.deepEqual(after, buildMap(list, 1500, 2500));
+    const again = s.patchAnchors(1400, 1400, [{ aPx: 1400, bPx: 2550 }]);
+    assert.equal(again.segments[0], before.segments[0]);
+    list = [...list.slice(0, 3), { aPx: 1400, bPx: 2550 }, list[4]];
+    assert.deepEqual(again, buildMap(list, 1500, 2500));
+    assert.deepEqual(again.diagnostics.map((d) => d.index), [3, 4]);
+    s.destroy();
+  });
+
+  test('clamped anchors fall back to a full rebuild once the pane end moves', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    let list = [{ aPx: 200, bPx: 600 }, { aPx: 1400, bPx: 2600 }];
+    const s = new DualScrollSync(a, b, { getAnchors: () => list });
+    const before = s.ensureMap();
+    b.scrollHeight = 3050;
+    const after = s.patchAnchors(150, 250, [{ aPx: 210, bPx: 600 }]);
+    assert.notEqual(after.segments[0], before.segments[0]);
+    list = [{ aPx: 210, bPx: 600 }, list[1]];
+    assert.deepEqual(after, buildMap(list, 1500, 2550));
+    s.destroy();
+  });
+
+  test('conflicting anchors fall back to a full rebuild of the patched list', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [
+        { aPx: 200, bPx: 600 },
+        { aPx: 500, bPx: 800 },
+        { aPx: 900, bPx: 1500 },
+      ],
+    });
+    s.ensureMap();
+    const d = s.patchAnchors(400, 600, [{ aPx: 550, bPx: 400 }, { aPx: 450, bPx: 700 }]);
+    const full = buildMap([
+      { aPx: 200, bPx: 600 },
+      { aPx: 550, bPx: 400 },
+      { aPx: 450, bPx: 700 },
+      { aPx: 900, bPx: 1500 },
+    ], 1500, 2500);
+    assert.deepEqual(d, full);
+    assert.deepEqual(d.dropped, [1]);
+    // A later clean patch on a map with drops still matches a full build.
+    const d2 = s.patchAnchors(550, 550, []);
+    assert.deepEqual(d2, buildMap([
+      { aPx: 200, bPx: 600 },
+      { aPx: 450, bPx: 700 },
+      { aPx: 900, bPx: 1500 },
+    ], 1500, 2500));
+    s.destroy();
+  });
+
+  test('an empty range inserts before the first anchor past it', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [{ aPx: 200, bPx: 600 }, { aPx: 900, bPx: 800 }],
+    });
+    s.ensureMap();
+    const d = s.patchAnchors(300, 400, [{ aPx: 350, bPx: 700 }]);
+    assert.deepEqual(d, buildMap([
+      { aPx: 200, bPx: 600 },
+      { aPx: 350, bPx: 700 },
+      { aPx: 900, bPx: 800 },
+    ], 1500, 2500));
+    s.destroy();
+  });
+
+  test('does not call getAnchors and reports the new map', () => {
+    let calls = 0;
+    const built = [];
+    const s = makeSync(mockPane(2000), mockPane(3000), {
+      getAnchors: () => { calls++; return [{ aPx: 200, bPx: 600 }]; },
+      onMapBuilt: (d) => built.push(d),
+    });
+    s.ensureMap();
+    const d = s.patchAnchors(0, 1000, [{ aPx: 300, bPx: 500 }]);
+    assert.equal(calls, 1);
+    assert.equal(built.length, 2);
+    assert.equal(built[1], d);
+    assert.equal(s.ensureMap(), d);
+    s.invalidate();
+    s.ensureMap();
+    assert.equal(calls, 2, 'invalidate goes back to getAnchors');
+    s.destroy();
+  });
+
+  test('keeps the position relative to identified anchors', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [
+        { aPx: 200, bPx: 600 },
+        { aPx: 500, bPx: 800, id: 'h2' },
+      ],
+    });
+    s.scrollTo(s.ensureMap().segments[2].vPx + 40);
+    const d = s.patchAnchors(100, 300, [{ aPx: 100, bPx: 300 }, { aPx: 200, bPx: 350 }]);
+    assert.equal(s.vCurrent, d.segments[3].vPx + 40);
+    s.destroy();
+  });
+
+  test('no-op after destroy', () => {
+    const s = makeSync(mockPane(2000), mockPane(3000));
+    s.destroy();
+    assert.deepEqual(s.patchAnchors(0, 1000, []).segments, []);
+  });
+});
+
+// ─── async anchors ───
+
+function deferred() {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+/** Let pending promise callbacks run. */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('async getAnchors', () => {
+  let a, b, pending, built, errors;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+    pending = [];
+    built = [];
+    errors = [];
+  });
+
+  function make(extra) {
+    return new DualScrollSync(a, b, {
+      getAnchors: () => {
+        const d = deferred();
+        pending.push(d);
+        return d.promise;
+      },
+      onMapBuilt: (d) => built.push(d),
+      onError: (e) => errors.push(e),
+      wheel: { smooth: 1 },
+      ...extra,
+    });
+  }
+
+  test('empty map until the first anchors resolve', async () => {
+    const s = make();
+    const d0 = s.ensureMap();
+    assert.deepEqual(d0.segments, []);
+    assert.equal(built.length, 0);
+    assert.equal(s.ensureMap(), d0, 'no second request while pending');
+    assert.equal(pending.length, 1);
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    assert.equal(built.length, 1);
+    assert.equal(s.ensureMap().segments.length, 2);
+    s.destroy();
+  });
+
+  test('keeps the previous map while a rebuild is pending', async () => {
+    const s = make();
+    s.ensureMap();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    const old = s.ensureMap();
+    s.invalidate();
+    assert.equal(s.ensureMap(), old);
+    pending[1].resolve([{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 800 }]);
+    await flush();
+    assert.notEqual(s.ensureMap(), old);
+    assert.equal(s.ensureMap().segments.length, 3);
+    s.destroy();
+  });
+
+  test('discards results requested before a later invalidate', async () => {
+    const s = make();
+    s.ensureMap();
+    s.invalidate();
+    s.ensureMap();
+    assert.equal(pending.length, 2);
+    pending[1].resolve([{ aPx: 500, bPx: 800 }]);
+    await flush();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    assert.equal(built.length, 1);
+    assert.equal(s.ensureMap().segments[1].aPx, 500);
+    s.destroy();
+  });
+
+  test('stale results are dropped even before the next request', async () => {
+    const s = make();
+    s.ensureMap();
+    s.invalidate();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    assert.equal(built.length, 0);
+    s.destroy();
+  });
+
+  test('rejections go to onError and keep the previous map', async () => {
+    const s = make();
+    s.ensureMap();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    const old = s.ensureMap();
+    s.invalidate();
+    s.ensureMap();
+    const err = new Error('measure failed');
+    pending[1].reject(err);
+    await flush();
+    assert.deepEqual(errors, [err]);
+    assert.equal(s.ensureMap(), old);
+    s.destroy();
+  });
+
+  test('stale rejections are ignored', async () => {
+    const s = make();
+    s.ensureMap();
+    s.invalidate();
+    pending[0].reject(new Error('stale'));
+    await flush();
+    assert.equal(errors.length, 0);
+    s.destroy();
+  });
+
+  test('re-syncs panes when the map arrives', async () => {
+    const s = make();
+    s.ensureMap();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    s.scrollTo(600);
+    near(b.scrollTop, 600);
+    s.invalidate();
+    s.ensureMap();
+    pending[1].resolve([{ aPx: 200, bPx: 900 }]);
+    await flush();
+    near(a.scrollTop, 200 * 600 / 900, 1);
+    near(b.scrollTop, 600);
+    s.destroy();
+  });
+
+  test('patchAnchors supersedes a pending request', async () => {
+    const s = make();
+    s.ensureMap();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    s.invalidate();
+    s.ensureMap();
+    s.patchAnchors(100, 300, [{ aPx: 250, bPx: 700 }]);
+    pending[1].resolve([{ aPx: 400, bPx: 400 }]);
+    await flush();
+    assert.equal(s.ensureMap().segments[1].aPx, 250);
+    s.destroy();
+  });
+
+  test('results arriving after destroy are ignored', async () => {
+    const s = make();
+    s.ensureMap();
+    s.destroy();
+    pending[0].resolve([{ aPx: 200, bPx: 600 }]);
+    await flush();
+    assert.equal(built.length, 0);
+  });
+});
+
+// ─── smooth scrollTo ───
+
+describe('smooth scrollTo', () => {
+  let a, b, sched, make;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync());
+  });
+
+  const linear = (t) => t;
+  const FRAME = 1000 / 60;
+
+  test('animates across frames and resolves true on arrival', async () => {
+    const s = make();
+    const p = s.scrollTo(1000, { behavior: 'smooth', duration: 100, easing: linear });
+    assert.equal(s.vCurrent, 0, 'nothing moves before the first frame');
+    sched.drain(3);
+    near(s.vCurrent, 500, 1);
+    sched.drain();
+    assert.equal(s.vCurrent, 1000);
+    assert.equal(sched.pending, 0);
+    assert.equal(await p, true);
+    near(b.scrollTop, lookup(s.ensureMap().segments, 'vPx', 'bPx', 1000), 1);
+  });
+
+  test('uses frame timestamps when the scheduler passes them', async () => {
+    const queue = [];
+    let now = 1000;
+    const s = make({ requestFrame: (fn) => queue.push(fn), cancelFrame: () => {} });
+    const p = s.scrollTo(800, { behavior: 'smooth', duration: 200, easing: linear });
+    queue.shift()(now);
+    near(s.vCurrent, 800 * FRAME / 200, 0.01);
+    queue.shift()(now += 50);
+    near(s.vCurrent, 800 * (FRAME + 50) / 200, 0.01);
+    queue.shift()(now += 200);
+    assert.equal(s.vCurrent, 800);
+    assert.equal(queue.length, 0);
+    assert.equal(await p, true);
+  });
+
+  test('default easing starts and ends slowly', () => {
+    const s = make();
+    s.scrollTo(1200, { behavior: 'smooth', duration: 300 });
+    const vs = [];
+    while (sched.pending) { sched.drain(1); vs.push(s.vCurrent); }
+    assert.equal(vs.length, 18);
+    const steps = vs.map((v, i) => v - (vs[i - 1] ?? 0));
+    assert.ok(steps[0] < steps[9] && steps[17] < steps[9]);
+    assert.equal(vs[17], 1200);
+  });
+
+  test('target is clamped to the map', async () => {
+    const s = make();
+    const vTotal = s.ensureMap().vTotal;
+    const p = s.scrollTo(vTotal + 500, { behavior: 'smooth', duration: 50 });
+    sched.drain();
+    assert.equal(s.vCurrent, vTotal);
+    assert.equal(await p, true);
+  });
+
+  test('wheel input interrupts with false and takes over', async () => {
+    const s = make({ wheel: { smooth: 0.5 } });
+    const p = s.scrollTo(1000, { behavior: 'smooth', duration: 200, easing: linear });
+    sched.drain(3);
+    const v = s.vCurrent;
+    a._fire('wheel', wheelEvent(100));
+    assert.equal(await p, false);
+    assert.equal(sched.pending, 1, 'only the wheel pump is scheduled');
+    sched.drain();
+    assert.ok(s.vCurrent > v && s.vCurrent < v + 101);
+    s.destroy();
+  });
+
+  test('a second scrollTo interrupts the first', async () => {
+    const s = make();
+    const first = s.scrollTo(1000, { behavior: 'smooth', duration: 200 });
+    sched.drain(2);
+    const second = s.scrollTo(100, { behavior: 'smooth', duration: 100 });
+    assert.equal(await first, false);
+    sched.drain();
+    assert.equal(await second, true);
+    assert.equal(s.vCurrent, 100);
+    assert.equal(await s.scrollTo(50), true, 'instant scroll resolves immediately');
+  });
+
+  test('native scroll by the user interrupts', async () => {
+    const s = make();
+    const p = s.scrollTo(1000, { behavior: 'smooth', duration: 200 });
+    sched.drain(2);
+    a.scrollTop = 900;
+    a._fire('scroll');
+    assert.equal(await p, false);
+    assert.equal(sched.pending, 0);
+    near(s.vCurrent, lookup(s.ensureMap().segments, 'aPx', 'vPx', 900), 1);
+  });
+
+  test('echoes of its own writes do not interrupt', async () => {
+    const s = make();
+    const p = s.scrollTo(1000, { behavior: 'smooth', duration: 50 });
+    sched.drain(1);
+    a._fire('scroll');
+    b._fire('scroll');
+    sched.drain();
+    assert.equal(await p, true);
+  });
+
+  test('cancels wheel momentum and snapping', () => {
+    const s = make({ wheel: { smooth: 0.2, snap: 100 } });
+    a._fire('wheel', wheelEvent(300));
+    sched.drain(1);
+    s.scrollTo(1500, { behavior: 'smooth', duration: 50 });
+    sched.drain();
+    assert.equal(s.vCurrent, 1500);
+  });
+
+  test('disable and destroy resolve false', async () => {
+    const s1 = make();
+    const p1 = s1.scrollTo(1000, { behavior: 'smooth' });
+    s1.enabled = false;
+    assert.equal(await p1, false);
+    assert.equal(sched.pending, 0);
+
+    const s2 = make();
+    const p2 = s2.scrollTo(1000, { behavior: 'smooth' });
+    s2.destroy();
+    assert.equal(await p2, false);
+    assert.equal(await s2.scrollTo(10), false);
+  });
+
+  test('non-positive duration jumps', async () => {
+    const s = make();
+    const p = s.scrollTo(700, { behavior: 'smooth', duration: 0 });
+    assert.equal(s.vCurrent, 700);
+    assert.equal(sched.pending, 0);
+    assert.equal(await p, true);
+  });
+});
+
+// ─── anchor navigation ───
+
+describe('anchor navigation', () => {
+  let a, b, sched, make, anchors;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync({ getAnchors: () => anchors }));
+    anchors = [
+      { aPx: 200, bPx: 600, id: 'intro', snap: true },
+      { aPx: 300, bPx: 650 },
+      { aPx: 500, bPx: 800, id: 'usage', snap: true },
+      { aPx: 400, bPx: 100 },                            // dropped
+      { aPx: 900, bPx: 1500 },
+    ];
+  });
+
+  const vOf = (s, aPx) => s.ensureMap().segments.find(seg => seg.aPx === aPx).vPx;
+
+  test('scrollToAnchor by id aligns the anchor in both panes', async () => {
+    const s = make({ alignOffset: 50 });
+    assert.equal(await s.scrollToAnchor('usage'), true);
+    assert.equal(s.vCurrent, vOf(s, 500));
+    assert.equal(a.scrollTop, 450);
+    assert.equal(b.scrollTop, 750);
+  });
+
+  test('scrollToAnchor by input index', async () => {
+    const s = make();
+    assert.equal(await s.scrollToAnchor(4), true);
+    assert.equal(s.vCurrent, vOf(s, 900));
+    assert.equal(await s.scrollToAnchor(1), true);
+    assert.equal(s.vCurrent, vOf(s, 300));
+  });
+
+  test('unknown, dropped and out-of-range anchors resolve false without moving', async () => {
+    const s = make();
+    s.scrollTo(100);
+    assert.equal(await s.scrollToAnchor('missing'), false);
+    assert.equal(await s.scrollToAnchor(3), false);
+    assert.equal(await s.scrollToAnchor(5), false);
+    assert.equal(await s.scrollToAnchor(-1), false);
+    assert.equal(s.vCurrent, 100);
+  });
+
+  test('clamped anchor positions are found by index', async () => {
+    anchors = [{ aPx: 200, bPx: 600 }, { aPx: 5000, bPx: 2600 }];
+    const s = make();
+    assert.equal(await s.scrollToAnchor(1), true);
+    assert.equal(s.vCurrent, vOf(s, 1500));
+  });
+
+  test('scrollToAnchor passes animation options through', async () => {
+    const s = make();
+    const p = s.scrollToAnchor('usage', { behavior: 'smooth', duration: 100 });
+    assert.equal(s.vCurrent, 0);
+    sched.drain();
+    assert.equal(await p, true);
+    assert.equal(s.vCurrent, vOf(s, 500));
+  });
+
+  test('nextAnchor and prevAnchor step through the map', async () => {
+    const s = make();
+    const order = [200, 300, 500, 900].map(x => vOf(s, x));
+    for (const v of order) {
+      assert.equal(await s.nextAnchor(), true);
+      assert.equal(s.vCurrent, v);
+    }
+    assert.equal(await s.nextAnchor(), false, 'no anchor after the last');
+    for (const v of order.slice(0, -1).reverse()) {
+      assert.equal(await s.prevAnchor(), true);
+      assert.equal(s.vCurrent, v);
+    }
+    assert.equal(await s.prevAnchor(), false, 'the origin is not an anchor');
+  });
+
+  test('between anchors, next and prev go to the neighbours', async () => {
+    const s = make();
+    s.scrollTo((vOf(s, 300) + vOf(s, 500)) / 2);
+    await s.nextAnchor();
+    assert.equal(s.vCurrent, vOf(s, 500));
+    s.scrollTo((vOf(s, 300) + vOf(s, 500)) / 2);
+    await s.prevAnchor();
+    assert.equal(s.vCurrent, vOf(s, 300));
+  });
+
+  test('snapOnly skips anchors without snap', async () => {
+    const s = make();
+    await s.nextAnchor({ snapOnly: true });
+    assert.equal(s.vCurrent, vOf(s, 200));
+    await s.nextAnchor({ snapOnly: true });
+    assert.equal(s.vCurrent, vOf(s, 500));
+    assert.equal(await s.nextAnchor({ snapOnly: true }), false);
+    await s.prevAnchor({ snapOnly: true });
+    assert.equal(s.vCurrent, vOf(s, 200));
+  });
+
+  test('repeated steps advance from the target of an animation in progress', async () => {
+    const s = make();
+    const first = s.nextAnchor({ behavior: 'smooth', duration: 200 });
+    sched.drain(1);
+    const second = s.nextAnchor({ behavior: 'smooth', duration: 200 });
+    assert.equal(await first, false);
+    sched.drain();
+    assert.equal(await second, true);
+    assert.equal(s.vCurrent, vOf(s, 300));
+  });
+
+  test('steps account for wheel momentum still to come', async () => {
+    const s = make({ wheel: { smooth: 0.2 } });
+    const target = vOf(s, 500);
+    a._fire('wheel', wheelEvent(target));
+    await s.nextAnchor();
+    assert.equal(s.vCurrent, vOf(s, 900));
+  });
+
+  test('resolve false after destroy', async () => {
+    const s = make();
+    s.destroy();
+    assert.equal(await s.scrollToAnchor('intro'), false);
+    assert.equal(await s.nextAnchor(), false);
+    assert.equal(await s.prevAnchor(), false);
+  });
+});
+
+// ─── mapping helpers ───
+
+describe('mapping helpers', () => {
+  let s;
+  beforeEach(() => {
+    // sMax 1500 / 2500; anchors (200, 600), (500, 800).
+    s = makeSync(mockPane(2000), mockPane(3000));
+  });
+
+  test('map between panes through anchors', () => {
+    assert.equal(s.mapAToB(200), 600);
+    assert.equal(s.mapAToB(350), 700);
+    assert.equal(s.mapBToA(800), 500);
+    assert.equal(s.mapBToA(300), 100);
+    assert.equal(s.mapAToB(1500), 2500);
+  });
+
+  test('map to and from the virtual axis', () => {
+    const { segments } = s.ensureMap();
+    assert.equal(s.vFromA(500), segments[2].vPx);
+    assert.equal(s.vFromB(600), segments[1].vPx);
+    assert.equal(s.aFromV(segments[2].vPx), 500);
+    assert.equal(s.bFromV(segments[1].vPx), 600);
+  });
+
+  test('aFromV(vCurrent) is the content at alignOffset', () => {
+    s.alignOffset = 40;
+    s.scrollTo(700);
+    assert.equal(s.aFromV(s.vCurrent), s.paneA.scrollTop + 40);
+    assert.equal(s.bFromV(s.vCurrent), s.paneB.scrollTop + 40);
+  });
+
+  test('inputs are clamped to the source range', () => {
+    const { vTotal } = s.ensureMap();
+    assert.equal(s.mapAToB(-100), 0);
+    assert.equal(s.mapAToB(99999), 2500);
+    assert.equal(s.mapBToA(99999), 1500);
+    assert.equal(s.vFromA(-1), 0);
+    assert.equal(s.vFromB(1e9), vTotal);
+    assert.equal(s.aFromV(vTotal + 10), 1500);
+    assert.equal(s.bFromV(-5), 0);
+  });
+
+  test('return 0 without a map', () => {
+    const e = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: () => { throw new Error('x'); },
+    });
+    assert.equal(e.mapAToB(300), 0);
+    assert.equal(e.aFromV(300), 0);
+    assert.equal(s.mapAToB(NaN), 0);
+    e.destroy();
+  });
+
+  test('use the current map after invalidate', () => {
+    let shift = 0;
+    const t = new DualScrollSync(mockPane(2000), mockPane(3000), {
+      getAnchors: () => [{ aPx: 200, bPx: 600 + shift }],
+    });
+    assert.equal(t.mapAToB(200), 600);
+    shift = 100;
+    t.invalidate();
+    assert.equal(t.mapAToB(200), 700);
+    t.destroy();
+  });
+});
+
+// ─── events ───
+
+describe('events', () => {
+  let a, b, sched, make;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync());
+  });
+
+  /** Record events of the given types as [type, payload] pairs. */
+  function record(s, types) {
+    const log = [];
+    for (const type of types) s.on(type, (payload) => log.push([type, payload]));
+    return log;
+  }
+
+  test('sync carries source, vCurrent, segment and progress', () => {
+    const s = make();
+    const log = record(s, ['sync']);
+    const { segments } = s.ensureMap();
+    s.scrollTo(segments[1].vPx + segments[1].vS / 4);
+    assert.deepEqual(log[0][1], {
+      source: null, vCurrent: segments[1].vPx + segments[1].vS / 4, segment: 1, progress: 0.25,
+    });
+    b.scrollTop = segments[2].bPx;
+    b._fire('scroll');
+    assert.equal(log[1][1].source, 1);
+    assert.equal(log[1][1].segment, 2);
+    assert.equal(log[1][1].progress, 0);
+    s.destroy();
+  });
+
+  test('sync names the pane that received wheel, key or touch input', () => {
+    const s = make({ wheel: { smooth: 0.5, snap: 100 }, keyboard: true, touch: true });
+    s.ensureMap();
+    const sources = (log) => log.map(([, e]) => e.source);
+    let log = record(s, ['sync']);
+    b._fire('wheel', wheelEvent(550));
+    sched.drain();
+    assert.ok(log.length > 1);
+    assert.deepEqual(new Set(sources(log)), new Set([1]), 'momentum and snap included');
+    s.scrollTo(0);
+    log = record(s, ['sync']);
+    a._fire('keydown', keyEvent('PageDown'));
+    sched.drain();
+    assert.ok(log.length > 0);
+    assert.deepEqual(new Set(sources(log)), new Set([0]));
+    log = record(s, ['sync']);
+    b._fire('pointerdown', pointer('pointerdown', 500, 0));
+    b._fire('pointermove', pointer('pointermove', 450, 10));
+    assert.deepEqual(sources(log), [1]);
+    s.destroy();
+  });
+
+  test('onSync receives the same payload', () => {
+    const payloads = [];
+    const s = make({ onSync: (e) => payloads.push(e) });
+    const log = record(s, ['sync']);
+    s.scrollTo(100);
+    assert.deepEqual(payloads, log.map(([, p]) => p));
+    s.destroy();
+  });
+
+  test('mapbuilt and error mirror onMapBuilt and onError', () => {
+    let fail = false;
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => { if (fail) throw new Error('boom'); return [{ aPx: 200, bPx: 600 }]; },
+    });
+    const log = record(s, ['mapbuilt', 'error']);
+    const d = s.ensureMap();
+    fail = true;
+    s.invalidate();
+    s.ensureMap();
+    assert.deepEqual(log.map(([t]) => t), ['mapbuilt', 'error', 'mapbuilt']);
+    assert.equal(log[0][1], d);
+    assert.equal(log[1][1].message, 'boom');
+    s.destroy();
+  });
+
+  test('wheel momentum emits wheelstart and wheelend once per gesture', () => {
+    const s = make({ wheel: { smooth: 0.5 } });
+    const log = record(s, ['wheelstart', 'wheelend', 'snapstart', 'snapend']);
+    a._fire('wheel', wheelEvent(100));
+    a._fire('wheel', wheelEvent(100));
+    sched.drain(2);
+    a._fire('wheel', wheelEvent(100));
+    assert.deepEqual(log.map(([t]) => t), ['wheelstart']);
+    sched.drain();
+    assert.deepEqual(log.map(([t]) => t), ['wheelstart', 'wheelend']);
+    s.destroy();
+  });
+
+  test('instant wheel emits a start/end pair per event', () => {
+    const s = make();
+    const log = record(s, ['wheelstart', 'wheelend']);
+    a._fire('wheel', wheelEvent(100));
+    assert.deepEqual(log.map(([t]) => t), ['wheelstart', 'wheelend']);
+    s.destroy();
+  });
+
+  test('snap follows wheelend and reports its target', () => {
+    const s = make({ wheel: { smooth: 0.5, snap: 200 } });
+    const target = s.ensureMap().segments[1].vPx;
+    const log = record(s, ['wheelstart', 'wheelend', 'snapstart', 'snapend']);
+    a._fire('wheel', wheelEvent(target - 60));
+    sched.drain();
+    assert.deepEqual(log, [
+      ['wheelstart', undefined],
+      ['wheelend', undefined],
+      ['snapstart', { target }],
+      ['snapend', { target, arrived: true }],
+    ]);
+    s.destroy();
+  });
+
+  test('input during a snap ends it unarrived and starts a new gesture', () => {
+    const s = make({ wheel: { smooth: 0.5, snap: 200 } });
+    const target = s.ensureMap().segments[1].vPx;
+    const log = record(s, ['wheelstart', 'wheelend', 'snapstart', 'snapend']);
+    a._fire('wheel', wheelEvent(target - 60));
+    while (!log.some(([t]) => t === 'snapstart')) sched.drain(1);
+    a._fire('wheel', wheelEvent(-500));
+    assert.deepEqual(log.slice(3).map(([t, p]) => [t, p?.arrived]), [
+      ['snapend', false],
+      ['wheelstart', undefined],
+    ]);
+    s.scrollTo(0);
+    assert.equal(log.at(-1)[0], 'wheelend', 'scrollTo cancels the momentum');
+    s.destroy();
+  });
+
+  test('destroy ends an active gesture, then drops listeners', () => {
+    const s = make({ wheel: { smooth: 0.5 } });
+    const log = record(s, ['wheelend', 'sync']);
+    a._fire('wheel', wheelEvent(100));
+    s.destroy();
+    assert.deepEqual(log.map(([t]) => t), ['wheelend']);
+    s.scrollTo(100);
+    assert.equal(log.length, 1);
+  });
+
+  test('off and the returned unsubscribe remove handlers', () => {
+    const s = make();
+    let calls = 0;
+    const handler = () => calls++;
+    s.on('sync', handler);
+    const unsubscribe = s.on('mapbuilt', handler);
+    s.scrollTo(10);
+    assert.equal(calls, 2);
+    s.off('sync', handler);
+    unsubscribe();
+    s.invalidate();
+    s.scrollTo(20);
+    assert.equal(calls, 2);
+    s.off('error', handler);
+    s.destroy();
+  });
+
+  test('listener exceptions do not stop other listeners', () => {
+    const s = make();
+    const seen = [];
+    s.on('sync', () => { throw new Error('x'); });
+    s.on('sync', (e) => seen.push(e.vCurrent));
+    s.scrollTo(50);
+    assert.deepEqual(seen, [50]);
+    s.destroy();
+  });
+
+  test('a handler may unsubscribe itself while being called', () => {
+    const s = make();
+    const seen = [];
+    const off = s.on('sync', () => { seen.push('a'); off(); });
+    s.on('sync', () => seen.push('b'));
+    s.scrollTo(50);
+    s.scrollTo(60);
+    assert.deepEqual(seen, ['a', 'b', 'b']);
+    s.destroy();
+  });
+});
+
+// ─── active section ───
+
+describe('active section', () => {
+  let a, b, anchors;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+    anchors = [
+      { aPx: 200, bPx: 600, id: 'intro', snap: true },
+      { aPx: 400, bPx: 100 },                            // dropped
+      { aPx: 300, bPx: 650 },
+      { aPx: 500, bPx: 800, snap: true },
+    ];
+  });
+
+  function make(extra) {
+    return new DualScrollSync(a, b, { getAnchors: () => anchors, ...extra });
+  }
+
+  const vOf = (s, aPx) => s.ensureMap().segments.find(seg => seg.aPx === aPx).vPx;
+
+  test('null above the first anchor', () => {
+    const s = make();
+    s.scrollTo(100);
+    assert.equal(s.activeSection, null);
+    s.destroy();
+  });
+
+  test('last anchor at or before vCurrent, with progress to the next', () => {
+    const s = make();
+    const v200 = vOf(s, 200), v300 = vOf(s, 300), v500 = vOf(s, 500);
+    s.scrollTo(v200);
+    assert.deepEqual(s.activeSection, { index: 0, id: 'intro', segment: 1, progress: 0 });
+    s.scrollTo(v200 + (v300 - v200) / 2);
+    assert.deepEqual(s.activeSection, { index: 0, id: 'intro', segment: 1, progress: 0.5 });
+    s.scrollTo(v300);
+    assert.deepEqual(s.activeSection, { index: 2, id: undefined, segment: 2, progress: 0 });
+    const { vTotal } = s.ensureMap();
+    s.scrollTo(v500 + (vTotal - v500) / 4);
+    assert.deepEqual(s.activeSection, { index: 3, id: undefined, segment: 3, progress: 0.25 });
+    s.destroy();
+  });
+
+  test('an anchor just below the line after rounding counts as reached', () => {
+    const s = make();
+    s.scrollTo(vOf(s, 300) - 0.5);
+    assert.equal(s.activeSection.index, 2);
+    s.destroy();
+  });
+
+  test('sectionSnapOnly skips anchors without snap', () => {
+    const s = make({ sectionSnapOnly: true });
+    const v200 = vOf(s, 200), v500 = vOf(s, 500);
+    s.scrollTo(vOf(s, 300));
+    const section = s.activeSection;
+    assert.equal(section.index, 0);
+    assert.equal(section.progress, (vOf(s, 300) - v200) / (v500 - v200));
+    s.sectionSnapOnly = false;
+    assert.equal(s.activeSection.index, 2);
+    s.destroy();
+  });
+
+  test('sectionchange fires only when the section changes', () => {
+    const s = make({ wheel: { smooth: 1 } });
+    const log = [];
+    s.on('sectionchange', (e) => log.push(e && e.index));
+    s.scrollTo(50);
+    s.scrollTo(vOf(s, 200) + 1);
+    s.scrollTo(vOf(s, 200) + 5);
+    a._fire('wheel', wheelEvent(1));
+    s.scrollTo(vOf(s, 500));
+    s.scrollTo(0);
+    assert.deepEqual(log, [0, 3, null]);
+    s.destroy();
+  });
+
+  test('sectionchange payload carries id and progress', () => {
+    const s = make();
+    const seen = [];
+    s.on('sectionchange', (e) => seen.push(e));
+    const v200 = vOf(s, 200), v300 = vOf(s, 300);
+    s.scrollTo(v200 + (v300 - v200) / 4);
+    assert.deepEqual(seen, [{ index: 0, id: 'intro', segment: 1, progress: 0.25 }]);
+    s.destroy();
+  });
+
+  test('follows native scrolls of either pane', () => {
+    const s = make();
+    const log = [];
+    s.on('sectionchange', (e) => log.push(e && e.index));
+    b.scrollTop = 820;
+    b._fire('scroll');
+    assert.deepEqual(log, [3]);
+    s.destroy();
+  });
+
+  test('an identified section survives content inserted above', () => {
+    let shift = 0;
+    const s = new DualScrollSync(a, b, {
+      getAnchors: () => [
+        { aPx: 100, bPx: 100 },
+        ...(shift ? [{ aPx: 150, bPx: 150 }] : []),
+        { aPx: 200 + shift, bPx: 600 + shift, id: 'intro' },
+      ],
+    });
+    const log = [];
+    s.on('sectionchange', (e) => log.push(e && e.id));
+    s.scrollTo(s.ensureMap().segments[2].vPx + 10);
+    shift = 50;
+    s.invalidate();
+    s.scrollTo(s.ensureMap().segments.find(seg => seg.id === 'intro').vPx + 10);
+    assert.deepEqual(log, ['intro']);
+    assert.equal(s.activeSection.index, 2);
+    s.destroy();
+  });
+
+  test('null without a map or after destroy', () => {
+    const e = new DualScrollSync(a, b, { getAnchors: () => { throw new Error('x'); } });
+    assert.equal(e.activeSection, null);
+    const s = make();
+    s.scrollTo(vOf(s, 500));
+    s.destroy();
+    assert.equal(s.activeSection, null);
+  });
+});
+
+// ─── sync direction ───
+
+describe('sync direction', () => {
+  let a, b;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+  });
+
+  function wheelOn(pane, deltaY) {
+    const e = { ...wheelEvent(deltaY), prevented: false };
+    e.preventDefault = () => { e.prevented = true; };
+    pane._fire('wheel', e);
+    return e;
+  }
+
+  test('defaults to both', () => {
+    const s = makeSync(a, b);
+    assert.equal(s.direction, 'both');
+    b.scrollTop = 600;
+    b._fire('scroll');
+    near(a.scrollTop, 200);
+    s.destroy();
+  });
+
+  test('a-to-b: B follows A, but B scrolls freely', () => {
+    const s = makeSync(a, b, { direction: 'a-to-b' });
+    a.scrollTop = 200;
+    a._fire('scroll');
+    near(b.scrollTop, 600);
+    const v = s.vCurrent;
+    b.scrollTop = 1200;
+    b._fire('scroll');
+    near(a.scrollTop, 200);
+    assert.equal(s.vCurrent, v);
+    a.scrollTop = 500;
+    a._fire('scroll');
+    near(b.scrollTop, 800, 1);
+    s.destroy();
+  });
+
+  test('b-to-a: A follows B, but A scrolls freely', () => {
+    const s = makeSync(a, b, { direction: 'b-to-a' });
+    a.scrollTop = 500;
+    a._fire('scroll');
+    assert.equal(b.scrollTop, 0);
+    b.scrollTop = 600;
+    b._fire('scroll');
+    near(a.scrollTop, 200);
+    s.destroy();
+  });
+
+  test('wheel on a following pane is left to the browser', () => {
+    const s = makeSync(a, b, { direction: 'a-to-b' });
+    const onB = wheelOn(b, 100);
+    assert.equal(onB.prevented, false);
+    assert.equal(s.vCurrent, 0);
+    assert.equal(a.scrollTop, 0);
+    const onA = wheelOn(a, 100);
+    assert.equal(onA.prevented, true);
+    assert.equal(s.vCurrent, 100);
+    assert.ok(b.scrollTop > 0, 'the pump moves the follower');
+    s.destroy();
+  });
+
+  test('keyboard and touch on a following pane are ignored', () => {
+    const s = makeSync(a, b, { direction: 'b-to-a', keyboard: true, touch: true });
+    const key = keyEvent('PageDown');
+    a._fire('keydown', key);
+    assert.equal(key.prevented, false);
+    a._fire('pointerdown', pointer('pointerdown', 300, 0));
+    a._fire('pointermove', pointer('pointermove', 100, 16));
+    assert.equal(s.vCurrent, 0);
+    const keyB = keyEvent('PageDown');
+    b._fire('keydown', keyB);
+    assert.equal(keyB.prevented, true);
+    assert.ok(s.vCurrent > 0);
+    s.destroy();
+  });
+
+  test('programmatic scrolls still move every pane', () => {
+    const s = makeSync(a, b, { direction: 'a-to-b' });
+    s.scrollTo(s.ensureMap().segments[2].vPx);
+    assert.equal(a.scrollTop, 500);
+    assert.equal(b.scrollTop, 800);
+    s.destroy();
+  });
+
+  test('changeable at runtime; unknown values behave as both', () => {
+    const s = makeSync(a, b, { direction: 'a-to-b' });
+    b.scrollTop = 600;
+    b._fire('scroll');
+    assert.equal(a.scrollTop, 0);
+    s.direction = 'both';
+    b.scrollTop = 800;
+    b._fire('scroll');
+    near(a.scrollTop, 500);
+    s.direction = 'sideways';
+    b.scrollTop = 600;
+    b._fire('scroll');
+    near(a.scrollTop, 200);
+    s.destroy();
+  });
+
+  test('with N panes the leader drives all others', () => {
+    const c = mockPane(1500);
+    const s = new DualScrollSync([a, b, c], {
+      getAnchors: () => [{ px: [200, 600, 300] }],
+      direction: 'a-to-b',
+    });
+    a.scrollTop = 200;
+    a._fire('scroll');
+    near(b.scrollTop, 600);
+    near(c.scrollTop, 300);
+    c.scrollTop = 700;
+    c._fire('scroll');
+    near(a.scrollTop, 200);
+    s.destroy();
+  });
+});
+
+// ─── decoupling ───
+
+describe('decoupled scrolling', () => {
+  let a, b;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+  });
+
+  function altWheel(pane, deltaY) {
+    const e = { ...wheelEvent(deltaY), altKey: true, prevented: false };
+    e.preventDefault = () => { e.prevented = true; };
+    pane._fire('wheel', e);
+    return e;
+  }
+
+  function scrollA(px) {
+    a.scrollTop = px;
+    a._fire('scroll');
+  }
+
+  test('is off by default', () => {
+    const s = makeSync(a, b);
+    assert.equal(s.decoupleKey, null);
+    scrollA(200);
+    altWheel(b, 100);
+    assert.notEqual(a.scrollTop, 200, 'handled as a synced wheel instead');
+    assert.deepEqual(s.corrections, []);
+    s.destroy();
+  });
+
+  test('modifier wheel scrolls one pane alone and records a correction', () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt' });
+    scrollA(200);
+    near(b.scrollTop, 600);
+    const e = altWheel(b, 100);
+    assert.equal(e.prevented, true);
+    assert.equal(b.scrollTop, 700);
+    assert.equal(a.scrollTop, 200);
+    b._fire('scroll');
+    assert.equal(a.scrollTop, 200, 'echo of the decoupled move is absorbed');
+    assert.deepEqual(s.corrections, [{ px: [200, 700] }]);
+    scrollA(0);
+    scrollA(200);
+    near(b.scrollTop, 700);
+    s.destroy();
+  });
+
+  test('works on a pane that does not lead', () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt', direction: 'a-to-b' });
+    scrollA(200);
+    altWheel(b, -100);
+    assert.deepEqual(s.corrections, [{ px: [200, 500] }]);
+    s.destroy();
+  });
+
+  test('a gesture updates one correction until the next sync', () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt' });
+    scrollA(200);
+    altWheel(b, 50);
+    altWheel(b, 50);
+    assert.deepEqual(s.corrections, [{ px: [200, 700] }]);
+    scrollA(1000);
+    altWheel(a, 100);
+    assert.equal(s.corrections.length, 2);
+    assert.equal(s.corrections[1].px[0], 1100);
+    s.destroy();
+  });
+
+  test('a new correction replaces ones it contradicts', () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt' });
+    scrollA(200);
+    altWheel(b, 100);
+    scrollA(300);
+    const bAt = b.scrollTop;
+    altWheel(b, -(bAt - 650));
+    assert.deepEqual(s.corrections, [{ px: [300, 650] }]);
+    s.destroy();
+  });
+
+  test('corrections survive invalidate and patchAnchors', () => {
+    let calls = 0;
+    const s = makeSync(a, b, {
+      decoupleKey: 'alt',
+      getAnchors: () => { calls++; return [{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 800 }]; },
+    });
+    scrollA(200);
+    const before = calls;
+    altWheel(b, 100);
+    assert.equal(calls, before, 'recording does not re-read getAnchors');
+    s.invalidate();
+    scrollA(0);
+    scrollA(200);
+    near(b.scrollTop, 700);
+    s.patchAnchors(150, 250, [{ aPx: 200, bPx: 600 }]);
+    scrollA(0);
+    scrollA(200);
+    near(b.scrollTop, 700);
+    s.destroy();
+  });
+
+  test('corrections are left out of diagnostics', () => {
+    const errors = [];
+    const s = makeSync(a, b, {
+      decoupleKey: 'alt', strict: true, onError: (e) => errors.push(e),
+      getAnchors: () => [{ aPx: 200, bPx: 600 }],
+    });
+    scrollA(1500);
+    altWheel(b, 200);
+    const [correction] = s.corrections;
+    assert.ok(correction.px[1] > 1500);
+    b.scrollHeight = 2000;
+    s.invalidate();
+    const data = s.ensureMap();
+    assert.deepEqual(data.diagnostics, []);
+    assert.deepEqual(data.dropped, []);
+    assert.equal(data.droppedCount, 0);
+    assert.deepEqual(errors, []);
+    s.destroy();
+  });
+
+  test('corrections are not anchors for navigation or sections', async () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt' });
+    const seen = [];
+    s.on('sectionchange', (section) => seen.push(section && section.index));
+    scrollA(300);
+    altWheel(b, 100);
+    assert.equal(s.corrections[0].px[0], 300);
+    s.scrollTo(0);
+    assert.equal(await s.nextAnchor(), true);
+    near(a.scrollTop, 200);
+    assert.equal(await s.nextAnchor(), true);
+    near(a.scrollTop, 500); // passes over the correction at 300
+    assert.equal(await s.prevAnchor(), true);
+    near(a.scrollTop, 200);
+    scrollA(350);
+    assert.equal(s.activeSection.index, 0);
+    assert.equal(seen.includes(-1), false);
+    s.destroy();
+  });
+
+  test('clearCorrections re-aligns to the leading pane', () => {
+    const s = makeSync(a, b, { decoupleKey: 'alt' });
+    scrollA(200);
+    altWheel(b, 100);
+    s.clearCorrections();
+    assert.deepEqual(s.corrections, []);
+    near(a.scrollTop, 200);
+    near(b.scrollTop, 600);
+    s.destroy();
+  });
+
+  test('decoupleKey can change at runtime', () => {
+    const s = makeSync(a, b);
+    scrollA(200);
+    s.decoupleKey = 'alt';
+    altWheel(b, 100);
+    assert.equal(s.corrections.length, 1);
+    s.decoupleKey = null;
+    altWheel(b, 100);
+    assert.notEqual(a.scrollTop, 200);
+    assert.equal(s.corrections.length, 1);
+    s.destroy();
+  });
+});
+
+// ─── caret follow ───
+
+describe('followCaret', () => {
+  let a, b;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+  });
+
+  function scrollA(px) {
+    a.scrollTop = px;
+    a._fire('scroll');
+  }
+
+  test('aligns B to the caret line without moving A', () => {
+    const s = makeSync(a, b);
+    s.followCaret(200);
+    assert.equal(s.caret, 200);
+    assert.equal(a.scrollTop, 0);
+    near(b.scrollTop, 400);
+    s.destroy();
+  });
+
+  test('keeps following as A scrolls', () => {
+    const s = makeSync(a, b);
+    s.followCaret(200);
+    scrollA(100);
+    near(b.scrollTop, 500);
+    s.destroy();
+  });
+
+  test('falls back to alignOffset while the caret is off screen', () => {
+    const s = makeSync(a, b);
+    s.followCaret(200);
+    scrollA(300);
+    near(b.scrollTop, 600 + 100 * 200 / 300);
+    scrollA(0);
+    near(b.scrollTop, 400);
+    s.destroy();
+  });
+
+  test('applies to controller-driven syncs', async () => {
+    const s = makeSync(a, b);
+    s.followCaret(500);
+    await s.scrollTo(s.vFromA(100));
+    near(a.scrollTop, 100);
+    near(b.scrollTop, 800 - 400);
+    s.destroy();
+  });
+
+  test('null stops following and re-aligns', () => {
+    const s = makeSync(a, b);
+    s.followCaret(200);
+    scrollA(100);
+    s.followCaret(null);
+    assert.equal(s.caret, null);
+    near(a.scrollTop, 100);
+    near(b.scrollTop, 300);
+    s.destroy();
+  });
+
+  test('non-finite positions stop following', () => {
+    const s = makeSync(a, b);
+    s.followCaret(200);
+    s.followCaret(NaN);
+    assert.equal(s.caret, null);
+    near(b.scrollTop, 0);
+    s.destroy();
+  });
+
+  test('emits sync with pane A as source', () => {
+    const s = makeSync(a, b);
+    const seen = [];
+    s.on('sync', (e) => seen.push(e.source));
+    s.followCaret(200);
+    assert.deepEqual(seen, [0]);
+    s.destroy();
+  });
+
+  test('does nothing while disabled', () => {
+    const s = makeSync(a, b);
+    s.enabled = false;
+    s.followCaret(200);
+    assert.equal(b.scrollTop, 0);
+    s.destroy();
+  });
+});
+
+// ─── alignOffset forms ───
+
+describe('alignOffset forms', () => {
+  let a, b;
+  beforeEach(() => {
+    a = mockPane(2000);
+    b = mockPane(3000);
+  });
+
+  function scrollA(px) {
+    a.scrollTop = px;
+    a._fire('scroll');
+  }
+
+  test('per-pane array', () => {
+    const s = makeSync(a, b, { alignOffset: [0, 100] });
+    scrollA(200);
+    near(b.scrollTop, 500);
+    b.scrollTop = 700;
+    b._fire('scroll');
+    near(a.scrollTop, 500, 1);
+    s.destroy();
+  });
+
+  test('percentage of the viewport', () => {
+    const s = makeSync(a, b, { alignOffset: '20%' });
+    scrollA(100);
+    near(b.scrollTop, 500);
+    b.clientHeight = 1000;
+    scrollA(100);
+    near(b.scrollTop, 400); // 20% of B's own viewport
+    s.destroy();
+  });
+
+  test('function evaluated on each sync', () => {
+    let toolbar = 150;
+    const calls = [];
+    const s = makeSync(a, b, {
+      alignOffset: (pane, i) => { calls.push(pane === (i === 0 ? a : b)); return i === 0 ? 50 : toolbar; },
+    });
+    scrollA(150);
+    near(b.scrollTop, 450);
+    toolbar = 250;
+    scrollA(150);
+    near(b.scrollTop, 350);
+    assert.ok(calls.length > 0 && calls.every(Boolean));
+    s.destroy();
+  });
+
+  test('targets are clamped to the scroll range', () => {
+    const s = makeSync(a, b, { alignOffset: [0, 400] });
+    s.scrollTo(0);
+    assert.equal(b.scrollTop, 0);
+    s.alignOffset = [0, -300];
+    s.scrollTo(s.ensureMap().vTotal);
+    assert.equal(a.scrollTop, 1500);
+    assert.equal(b.scrollTop, 2500);
+    s.destroy();
+  });
+
+  test('unusable values count as 0', () => {
+    for (const alignOffset of [NaN, '30px', 'abc', [], [Infinity, undefined]]) {
+      const s = makeSync(a, b, { alignOffset });
+      scrollA(200);
+      near(b.scrollTop, 600);
+      s.destroy();
+    }
+  });
+
+  test('a throwing function reports the error and counts as 0', () => {
+    const errors = [];
+    const s = makeSync(a, b, {
+      alignOffset: () => { throw new Error('boom'); },
+      onError: (e) => errors.push(e),
+    });
+    scrollA(200);
+    near(b.scrollTop, 600);
+    assert.ok(errors.length > 0);
+    assert.equal(errors[0].message, 'boom');
+    s.destroy();
+  });
+});
+
+// ─── segmentLength ───
+
+describe('segmentLength', () => {
+  const anchors = [{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 800 }];
+  const lengths = (d) => d.segments.map((seg) => seg.vS);
+
+  test('defaults to max', () => {
+    assert.deepEqual(lengths(buildMap(anchors, 1500, 2500)), [600, 300, 1700]);
+    assert.deepEqual(buildMap(anchors, 1500, 2500, { segmentLength: 'max' }), buildMap(anchors, 1500, 2500));
+  });
+
+  test('built-in policies', () => {
+    const build = (segmentLength) => buildMap(anchors, 1500, 2500, { segmentLength });
+    assert.deepEqual(lengths(build('a')), [200, 300, 1000]);
+    assert.equal(build('a').vTotal, 1500);
+    assert.deepEqual(lengths(build('b')), [600, 200, 1700]);
+    assert.deepEqual(lengths(build('sum')), [800, 500, 2700]);
+    assert.equal(build('sum').vTotal, 4000);
+  });
+
+  test('custom function receives per-pane lengths', () => {
+    const seen = [];
+    const d = buildMap([{ px: [100, 200, 300] }], [1000, 1000, 1000], {
+      segmentLength: (s) => { seen.push(s); return (s[0] + s[1]) / 2; },
+    });
+    assert.deepEqual(seen, [[100, 200, 300], [900, 800, 700]]);
+    assert.deepEqual(lengths(d), [150, 850]);
+  });
+
+  test('unusable lengths fall back to max', () => {
+    const d = buildMap(anchors, 1500, 2500, {
+      segmentLength: (s) => (s[0] === 300 ? NaN : s[0] === 200 ? 0 : -5),
+    });
+    assert.deepEqual(lengths(d), [600, 300, 1700]);
+    const end = buildMap([{ aPx: 1500, bPx: 1000 }], 1500, 2500, { segmentLength: 'a' });
+    assert.equal(end.segments[1].vS, 1500, 'a segment with no pane-A content');
+  });
+
+  test('mapping stays consistent under every policy', () => {
+    for (const segmentLength of ['max', 'a', 'b', 'sum']) {
+      const segs = buildMap(anchors, 1500, 2500, { segmentLength }).segments;
+      near(lookup(segs, 'aPx', 'bPx', 200), 600);
+      near(lookup(segs, 'aPx', 'bPx', 350), 700);
+      near(lookup(segs, 'vPx', 'aPx', lookup(segs, 'aPx', 'vPx', 900)), 900);
+    }
+  });
+
+  test('unknown names throw a RangeError', () => {
+    assert.throws(() => buildMap(anchors, 1500, 2500, { segmentLength: 'min' }), RangeError);
+    assert.throws(() => makeSync(mockPane(2000), mockPane(3000), { segmentLength: 'min' }), RangeError);
+  });
+
+  test('the controller builds with the option', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = makeSync(a, b, { segmentLength: 'a' });
+    assert.equal(s.ensureMap().vTotal, 1500);
+    s.scrollTo(350);
+    near(a.scrollTop, 350);
+    near(b.scrollTop, 700);
+    s.destroy();
+  });
+
+  test('a keyboard page moves the fastest pane by one screen', () => {
+    const a = mockPane(2000), b = mockPane(6500);
+    const s = makeSync(a, b, { segmentLength: 'a', keyboard: true, getAnchors: () => [] });
+    a._fire('keydown', keyEvent('PageDown'));
+    near(b.scrollTop, 500);
+    near(a.scrollTop, 125);
+    s.destroy();
+  });
+
+  test('patchAnchors matches a full rebuild under the policy', () => {
+    let list = anchors;
+    const s = makeSync(mockPane(2000), mockPane(3000), {
+      getAnchors: () => list, segmentLength: 'sum',
+    });
+    s.ensureMap();
+    const patched = s.patchAnchors(450, 550, [{ aPx: 520, bPx: 1000 }]);
+    list = [{ aPx: 200, bPx: 600 }, { aPx: 520, bPx: 1000 }];
+    assert.deepEqual(patched, buildMap(list, 1500, 2500, { segmentLength: 'sum' }));
+    s.destroy();
+  });
+});
+
+// ─── interpolation ───
+
+describe('monotone interpolation', () => {
+  const anchors = [{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 800 }];
+  const segs = buildMap(anchors, 1500, 2500).segments;
+  const mono = (from, to, value) => lookup(segs, from, to, value, 'monotone');
+
+  test('passes through every anchor', () => {
+    for (const seg of segs) {
+      near(mono('vPx', 'aPx', seg.vPx), seg.aPx, 1e-9);
+      near(mono('vPx', 'bPx', seg.vPx), seg.bPx, 1e-9);
+      near(mono('aPx', 'bPx', seg.aPx), seg.bPx, 1e-6);
+    }
+    near(mono('aPx', 'bPx', 1500), 2500, 1e-6);
+  });
+
+  test('speed is continuous across anchors', () => {
+    const v = segs[1].vPx, h = 1e-3;
+    const slope = (f, x) => (f(x + h) - f(x)) / h;
+    const linear = (x) => lookup(segs, 'vPx', 'bPx', x);
+    const cubic = (x) => mono('vPx', 'bPx', x);
+    assert.ok(Math.abs(slope(linear, v - 2 * h) - slope(linear, v + h)) > 0.3);
+    assert.ok(Math.abs(slope(cubic, v - 2 * h) - slope(cubic, v + h)) < 1e-2);
+  });
+
+  test('stays monotone and flat where a pane does not move', () => {
+    const flat = buildMap([{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 600 }], 1500, 2500).segments;
+    let prev = -Infinity;
+    for (let v = 0; v <= flat[2].vPx + flat[2].vS; v += 7) {
+      const b = lookup(flat, 'vPx', 'bPx', v, 'monotone');
+      assert.ok(b >= prev - 1e-9, `decreasing at v=${v}`);
+      if (v >= flat[1].vPx && v <= flat[2].vPx) near(b, 600, 1e-9);
+      prev = b;
+    }
+  });
+
+  test('pane-to-pane lookups invert the curves', () => {
+    for (const a of [0, 50, 199, 350, 777, 1500]) {
+      near(mono('vPx', 'aPx', mono('aPx', 'vPx', a)), a, 1e-6);
+      near(mono('bPx', 'aPx', mono('aPx', 'bPx', a)), a, 1e-6);
+    }
+  });
+
+  test('works with pane indices on N-pane maps', () => {
+    const multi = buildMap([{ px: [100, 400, 50] }], [1000, 2000, 500]).segments;
+    near(lookup(multi, 0, 2, 100, 'monotone'), 50, 1e-6);
+    near(lookup(multi, 0, 'vPx', 1000, 'monotone'), multi[1].vPx + multi[1].vS, 1e-6);
+  });
+
+  test('extrapolates linearly outside the map', () => {
+    assert.equal(mono('aPx', 'bPx', -10), lookup(segs, 'aPx', 'bPx', -10));
+    assert.equal(mono('aPx', 'bPx', 1600), lookup(segs, 'aPx', 'bPx', 1600));
+  });
+
+  test('the controller follows the option', () => {
+    const a = mockPane(2000), b = mockPane(3000);
+    const s = makeSync(a, b, { interpolation: 'monotone' });
+    assert.equal(s.interpolation, 'monotone');
+    a.scrollTop = 300;
+    a._fire('scroll');
+    near(b.scrollTop, mono('aPx', 'bPx', 300), 1e-6);
+    near(s.mapAToB(300), b.scrollTop, 1e-6);
+    s.interpolation = 'linear';
+    near(s.mapAToB(300), lookup(segs, 'aPx', 'bPx', 300), 1e-9);
+    s.destroy();
+  });
+});
+
+// ─── frame timing ───
+
+describe('frame-rate independent wheel', () => {
+  /** Scheduler that runs frames at a fixed rate, passing timestamps. */
+  function timedScheduler(hz) {
+    const sched = syncScheduler();
+    let now = 1000;
+    return {
+      ...sched,
+      requestFrame(fn) { return sched.requestFrame(() => fn(now)); },
+      /** Run frames until `ms` have elapsed. */
+      run(ms) {
+        const end = now + ms - 1e-6;
+        while (now < end && sched.pending) {
+          now += 1000 / hz;
+          sched.drain(1);
+        }
+      },
+    };
+  }
+
+  function scrolledAfter(hz, ms, wheel) {
+    const sched = timedScheduler(hz);
+    const a = mockPane(20000), b = mockPane(30000);
+    const s = makeSync(a, b, { ...sched, wheel });
+    a._fire('wheel', wheelEvent(1000));
+    sched.run(ms);
+    const v = s.vCurrent;
+    s.destroy();
+    return v;
+  }
+
+  test('smooth drains the same distance per second at 60 and 120 Hz', () => {
+    const v60 = scrolledAfter(60, 100, { smooth: 0.2 });
+    const v120 = scrolledAfter(120, 100, { smooth: 0.2 });
+    near(v60, 1000 * (1 - 0.8 ** 6), 1);
+    // Only the first frame of a run is counted as 1/60 s.
+    near(v120, 1000 * (1 - 0.8 ** 6.5), 1);
+    assert.ok(v120 - v60 < 40, 'a per-frame drain would be ~190 px ahead');
+  });
+
+  test('halfLife halves the remaining distance per period', () => {
+    near(scrolledAfter(60, 50, { smooth: 0.5, halfLife: 50 }), 500, 1);
+    near(scrolledAfter(60, 100, { smooth: 0.5, halfLife: 50 }), 750, 1);
+    near(scrolledAfter(240, 100, { smooth: 0.5, halfLife: 50 }), 1000 * (1 - 0.5 ** (100 / 50 + (1000 / 60 - 1000 / 240) / 50)), 1);
+  });
+
+  test('unusable halfLife values fall back to smooth', () => {
+    for (const halfLife of [-5, NaN, Infinity]) {
+      near(scrolledAfter(60, 100, { smooth: 0.2, halfLife }), 1000 * (1 - 0.8 ** 6), 1);
+    }
+  });
+
+  test('frames without a timestamp count as 1/60 s', () => {
+    const sched = syncScheduler();
+    const a = mockPane(20000), b = mockPane(30000);
+    const s = makeSync(a, b, { ...sched, wheel: { smooth: 0.2 } });
+    a._fire('wheel', wheelEvent(1000));
+    for (let i = 0; i < 6; i++) sched.drain(1);
+    near(s.vCurrent, 1000 * (1 - 0.8 ** 6), 1);
+    s.destroy();
+  });
+});
+
+// ─── wheel motion ───
+
+describe('wheel motion models', () => {
+  /** Run a wheel of `delta` at 60 Hz with timestamps; record vCurrent per frame. */
+  function run(wheel, delta, extra) {
+    const sched = syncScheduler();
+    let now = 0;
+    const a = mockPane(20000), b = mockPane(30000);
+    const s = makeSync(a, b, {
+      requestFrame: (fn) => sched.requestFrame(() => fn(now)),
+      cancelFrame: sched.cancelFrame,
+      wheel,
+      ...extra,
+    });
+    a._fire('wheel', wheelEvent(delta));
+    const trace = [];
+    while (sched.pending && trace.length < 1000) {
+      now += 1000 / 60;
+      sched.drain(1);
+      trace.push(s.vCurrent);
+    }
+    return { s, trace };
+  }
+  const steps = (trace) => trace.map((v, i) => v - (i > 0 ? trace[i - 1] : 0));
+
+  test('drain is the default', () => {
+    const { s, trace } = run({ smooth: 0.2 }, 1000);
+    near(trace[0], 200, 1e-6);
+    near(trace[1], 360, 1e-6);
+    s.destroy();
+  });
+
+  test('inertia decelerates linearly and stops at the target', () => {
+    const { s, trace } = run({ smooth: 0.5, motion: 'inertia', friction: 4000 }, 1000);
+    const d = steps(trace);
+    for (let i = 1; i < d.length; i++) assert.ok(d[i] <= d[i - 1] + 1e-9, `accelerated at frame ${i}`);
+    near(d[0] - d[1], 4000 / 1e6 * (1000 / 60) ** 2, 1e-6);
+    const ms = trace.length * 1000 / 60;
+    assert.ok(ms > 600 && ms < 760, `took ${ms} ms`);
+    near(s.vCurrent, 1000, 5);
+    s.destroy();
+  });
+
+  test('spring starts gently and does not overshoot', () => {
+    const { s, trace } = run({ smooth: 0.5, motion: 'spring', stiffness: 200 }, 1000);
+    const d = steps(trace);
+    assert.ok(d[0] < d[1], 'eases in');
+    assert.ok(trace.every((v) => v <= 1000 + 1e-9));
+    near(s.vCurrent, 1000, 5);
+    s.destroy();
+  });
+
+  test('stiffer springs settle sooner', () => {
+    const soft = run({ smooth: 0.5, motion: 'spring', stiffness: 100 }, 1000);
+    const stiff = run({ smooth: 0.5, motion: 'spring', stiffness: 400 }, 1000);
+    assert.ok(stiff.trace.length < soft.trace.length);
+    soft.s.destroy();
+    stiff.s.destroy();
+  });
+
+  test('brake applies to every model', () => {
+    for (const motion of ['drain', 'inertia', 'spring']) {
+      const free = run({ smooth: 0.5, motion }, 300);
+      const braked = run({ smooth: 0.5, motion, brake: { factor: 0.2, zone: 1000 } }, 300);
+      assert.ok(braked.trace[2] < free.trace[2], motion);
+      free.s.destroy();
+      braked.s.destroy();
+    }
+  });
+
+  test('snap runs through the model', () => {
+    for (const motion of ['inertia', 'spring']) {
+      const { sched, make } = scheduledSync();
+      const s = make({ wheel: { smooth: 0.5, motion, snap: 100 } });
+      const seen = [];
+      s.on('snapend', (e) => seen.push(e.arrived));
+      s.paneA._fire('wheel', wheelEvent(550));
+      sched.drain(1000);
+      assert.deepEqual(seen, [true], motion);
+      near(s.vCurrent, 600, 5);
+      s.destroy();
+    }
+  });
+
+  test('custom models receive input, context and fling velocity', () => {
+    const calls = [];
+    const motion = {
+      remaining: 0,
+      add(d) { calls.push(['add', d]); this.remaining += d; },
+      fling(v) { calls.push(['fling', v]); this.remaining += v * 100; },
+      step(dt, ctx) {
+        calls.push(['step', dt, Object.keys(ctx).sort()]);
+        const d = this.remaining / 2;
+        this.remaining -= d;
+        return d;
+      },
+      reset() { calls.push(['reset']); this.remaining = 0; },
+    };
+    const { a, sched, make } = scheduledSync();
+    const s = make({ touch: true, wheel: { smooth: 0.5, motion } });
+    a._fire('wheel', wheelEvent(100));
+    sched.drain(1);
+    assert.deepEqual(calls[0], ['add', 100]);
+    assert.deepEqual(calls[1], ['step', 1000 / 60, ['anchorDistance', 'map', 'snapping', 'vCurrent']]);
+    near(s.vCurrent, 50);
+    sched.drain();
+    assert.deepEqual(calls.at(-1), ['reset']);
+
+    calls.length = 0;
+    a._fire('pointerdown', pointer('pointerdown', 1000, 0));
+    for (let i = 1; i <= 5; i++) a._fire('pointermove', pointer('pointermove', 1000 - i * 20, i * 10));
+    a._fire('pointerup', pointer('pointerup', 900, 55));
+    const fling = calls.find((c) => c[0] === 'fling');
+    assert.ok(fling && fling[1] > 0);
+    s.destroy();
+  });
+
+  test('unknown names throw a RangeError', () => {
+    assert.throws(() => makeSync(mockPane(2000), mockPane(3000), { wheel: { smooth: 0.5, motion: 'bounce' } }), RangeError);
+  });
+});
+
+// ─── snapAfter ───
+
+describe('snap after other input', () => {
+  let a, b, sched, make;
+  beforeEach(() => {
+    ({ a, b, sched, make } = scheduledSync({
+      wheel: { smooth: 0.5, snap: 100 },
+      snapAfter: { idle: 5 },
+    }));
+  });
+  const settle = () => new Promise((r) => setTimeout(r, 30));
+
+  test('snaps once native scrolling settles', async () => {
+    const s = make();
+    const seen = [];
+    s.on('snapstart', (e) => seen.push(e.target));
+    a.scrollTop = 180;
+    a._fire('scroll');
+    near(s.vCurrent, 540);
+    assert.equal(sched.pending, 0);
+    await settle();
+    assert.deepEqual(seen, [600]);
+    sched.drain();
+    near(a.scrollTop, 200, 5);
+    s.destroy();
+  });
+
+  test('each scroll event restarts the idle timer', async () => {
+    const s = make();
+    a.scrollTop = 170;
+    a._fire('scroll');
+    await new Promise((r) => setTimeout(r, 2));
+    a.scrollTop = 180;
+    a._fire('scroll');
+    await settle();
+    assert.equal(sched.pending, 1);
+    s.destroy();
+  });
+
+  test('uses scrollend where supported, on the pane that was scrolled', () => {
+    a.onscrollend = null;
+    b.onscrollend = null;
+    const s = make();
+    a.scrollTop = 180;
+    a._fire('scroll');
+    b._fire('scrollend');
+    assert.equal(sched.pending, 0, 'follower scrollend ignored');
+    a._fire('scrollend');
+    assert.equal(sched.pending, 1);
+    s.destroy();
+  });
+
+  test('programmatic scrolls do not arm a snap', async () => {
+    const s = make();
+    s.scrollTo(540);
+    a._fire('scroll');
+    b._fire('scroll');
+    await settle();
+    assert.equal(sched.pending, 0);
+    s.destroy();
+  });
+
+  test('has its own distance', async () => {
+    const s = make({ wheel: { smooth: 0.5, snap: 0 }, snapAfter: { idle: 5, distance: 100 } });
+    a.scrollTop = 180;
+    a._fire('scroll');
+    await settle();
+    assert.equal(sched.pending, 1, 'native scroll snaps');
+    sched.drain();
+    s.scrollTo(540);
+    a._fire('wheel', wheelEvent(10));
+    sched.drain();
+    near(s.vCurrent, 550, 5); // wheel.snap 0: no snap to 600
+    s.destroy();
+  });
+
+  test('can be disabled per input type', async () => {
+    const s = make({
+      keyboard: true, touch: true,
+      snapAfter: { idle: 5, scroll: false, keyboard: false, touch: false },
+    });
+    const seen = [];
+    s.on('snapstart', () => seen.push(true));
+    a.scrollTop = 180;
+    a._fire('scroll');
+    await settle();
+    s.scrollTo(530);
+    a._fire('keydown', keyEvent('ArrowDown'));
+    sched.drain();
+    near(s.vCurrent, 570, 5);
+    a._fire('pointerdown', pointer('pointerdown', 500, 0));
+    a._fire('pointermove', pointer('pointermove', 490, 200));
+    a._fire('pointerup', pointer('pointerup', 490, 400));
+    sched.drain();
+    assert.deepEqual(seen, []);
+    s.snapAfter.keyboard = true;
+    s.scrollTo(530);
+    a._fire('keydown', keyEvent('ArrowDown'));
+    sched.drain();
+    assert.deepEqual(seen, [true]);
+    near(s.vCurrent, 600, 5);
+    s.destroy();
+  });
+
+  test('input that starts before the scroll settles wins', async () => {
+    const s = make();
+    a.scrollTop = 180;
+    a._fire('scroll');
+    a._fire('wheel', wheelEvent(-100));
+    await settle();
+    const seen = [];
+    s.on('snapstart', () => seen.push(true));
+    sched.drain(1);
+    assert.deepEqual(seen, []);
+    s.destroy();
+  });
+
+  test('snaps after native scrolling while wheel handling is off', async () => {
+    const s = make({ wheel: { smooth: 0, snap: 100 } });
+    const seen = [];
+    s.on('snapstart', (e) => seen.push(e.target));
+    a.scrollTop = 180;
+    a._fire('scroll');
+    await settle();
+    assert.deepEqual(seen, [600]);
+    sched.drain();
+    assert.equal(sched.pending, 0);
+    near(s.vCurrent, 600, 5);
+    s.destroy();
+  });
+
+  test('snaps after each key press with instant smoothing', () => {
+    const s = make({ wheel: { smooth: 1, snap: 100 }, keyboard: true });
+    s.scrollTo(530);
+    a._fire('keydown', keyEvent('ArrowDown'));
+    near(s.vCurrent, 570);
+    sched.drain();
+    near(s.vCurrent, 600, 5);
+    a._fire('keydown', keyEvent('ArrowDown'));
+    assert.equal(sched.pending, 1, 'a new press drops the previous glide');
+    sched.drain();
+    near(s.vCurrent, 600, 5);
+    s.destroy();
+  });
+
+  test('destroy cancels a pending settle', async () => {
+    const s = make();
+    a.scrollTop = 180;
+    a._fire('scroll');
+    s.destroy();
+    await settle();
+    assert.equal(sched.pending, 0);
+  });
+});
+
+// ─── per-anchor snap and brake ───
+
+describe('per-anchor snap and brake', () => {
+  test('buildMap copies usable overrides onto segments', () => {
+    const { segments } = buildMap([
+      { aPx: 200, bPx: 600, snapRange: 80, brakeFactor: 0.3, brakeZone: 50 },
+      { aPx: 500, bPx: 800, snapRange: -1, brakeFactor: NaN, brakeZone: Infinity },
+    ], 1500, 2500);
+    assert.deepEqual(segments[1], {
+      aPx: 200, bPx: 600, vPx: 600, aS: 300, bS: 200, vS: 300,
+      snapRange: 80, brakeFactor: 0.3, brakeZone: 50,
+    });
+    assert.equal('snapRange' in segments[2] || 'brakeFactor' in segments[2] || 'brakeZone' in segments[2], false);
+    const multi = buildMap([{ px: [100, 200, 300], snapRange: 0 }], [1000, 1000, 1000]);
+    assert.equal(multi.segments[1].snapRange, 0);
+  });
+
+  test('patchAnchors carries overrides like a full rebuild', () => {
+    let list = [{ aPx: 200, bPx: 600, brakeZone: 40 }, { aPx: 500, bPx: 800 }];
+    const s = makeSync(mockPane(2000), mockPane(3000), { getAnchors: () => list });
+    s.ensureMap();
+    const patched = s.patchAnchors(450, 550, [{ aPx: 520, bPx: 1000, snapRange: 30 }]);
+    list = [{ aPx: 200, bPx: 600, brakeZone: 40 }, { aPx: 520, bPx: 1000, snapRange: 30 }];
+    assert.deepEqual(patched, buildMap(list, 1500, 2500));
+    s.destroy();
+  });
+
+  function wheelTo(anchors, wheel, startV, delta, extra) {
+    const { sched, make } = scheduledSync();
+    const s = make({ getAnchors: () => anchors, wheel: { smooth: 0.5, ...wheel }, ...extra });
+    const targets = [];
+    s.on('snapstart', (e) => targets.push(e.target));
+    s.scrollTo(startV);
+    s.paneA._fire('wheel', wheelEvent(delta));
+    sched.drain(1000);
+    const v = s.vCurrent;
+    s.destroy();
+    return { v, targets };
+  }
+
+  test('snapRange snaps to an anchor without a global snap', () => {
+    const anchors = [{ aPx: 200, bPx: 600, snapRange: 100 }, { aPx: 500, bPx: 800 }];
+    assert.deepEqual(wheelTo(anchors, { snap: 0 }, 400, 130).targets, [600]);
+    assert.deepEqual(wheelTo(anchors, { snap: 0 }, 850, 30).targets, [], 'anchor at 900 has no range');
+  });
+
+  test('snapRange can narrow, widen or disable the global distance', () => {
+    const wide = [{ aPx: 200, bPx: 600, snapRange: 200 }];
+    assert.deepEqual(wheelTo(wide, { snap: 20 }, 300, 150).targets, [600]);
+    const off = [{ aPx: 200, bPx: 600, snapRange: 0 }];
+    assert.deepEqual(wheelTo(off, { snap: 100 }, 500, 80).targets, []);
+  });
+
+  test('snapAfter switches still apply', () => {
+    const anchors = [{ aPx: 200, bPx: 600, snapRange: 100 }];
+    const { sched, make } = scheduledSync();
+    const s = make({
+      getAnchors: () => anchors, keyboard: true,
+      wheel: { smooth: 0.5 }, snapAfter: { keyboard: false },
+    });
+    s.scrollTo(520);
+    s.paneA._fire('keydown', keyEvent('ArrowDown'));
+    sched.drain();
+    near(s.vCurrent, 560, 5);
+    s.destroy();
+  });
+
+  test('brakeFactor and brakeZone brake near one anchor only', () => {
+    const tuned = [{ aPx: 200, bPx: 600, brakeFactor: 0.2, brakeZone: 300 }, { aPx: 500, bPx: 800 }];
+    const plain = [{ aPx: 200, bPx: 600 }, { aPx: 500, bPx: 800 }];
+    const first = (anchors, startV, wheel) => {
+      const { sched, make } = scheduledSync();
+      const s = make({ getAnchors: () => anchors, wheel: { smooth: 0.5, ...wheel } });
+      s.scrollTo(startV);
+      s.paneA._fire('wheel', wheelEvent(100));
+      sched.drain(1);
+      const d = s.vCurrent - startV;
+      s.destroy();
+      return d;
+    };
+    near(first(plain, 590, {}), 50);
+    assert.ok(first(tuned, 590, {}) < 15, 'braked next to the tuned anchor');
+    near(first(tuned, 1500, {}), 50, 1e-6); // free far from it
+    const global = { brake: { factor: 0.2, zone: 300 } };
+    const loose = [{ aPx: 200, bPx: 600, brakeFactor: 1 }, { aPx: 500, bPx: 800 }];
+    assert.ok(first(plain, 590, global) < 15);
+    near(first(loose, 590, global), 50, 1e-6); // brakeFactor 1 lifts the global brake
+  });
+});
@@ -9,29 +9,64 @@ import {
   buildMap,
   lookup,
   DualScrollSync,
+  AnchorDiagnosticsError,
 } from "../src/index.js";
 
 import type {
+  AnchorBase,
   Anchor,
+  MultiAnchor,
   Segment,
   AxisPos,
   MapData,
+  AnchorIssue,
+  AnchorDiagnostic,
   ScrollPane,
+  ScrollAxis,
   WheelBrakeOptions,
   WheelOptions,
   SyncOptions,
+  ScrollToOptions,
+  AnchorScrollOptions,
+  SyncEvent,
+  SnapEvent,
+  SnapEndEvent,
+  SyncEventMap,
+  ActiveSection,
+  SyncDirection,
+  DecoupleKey,
+  AlignOffset,
+  SegmentLength,
+  BuildMapOptions,
+  Interpolation,
+  WheelMotion,
+  WheelMotionContext,
+  SnapAfterOptions,
+  AnchorTuning,
 } from "../src/index.js";
 
 // ── Anchor ──
 const anchor: Anchor = { aPx: 0, bPx: 0 };
 const snapAnchor: Anchor = { aPx: 100, bPx: 200, snap: true };
+const base: AnchorBase = { snap: false, weight: 2 };
+const _weighted: Anchor = { ...base, aPx: 50, bPx: 50 };
+const _identified: MultiAnchor = { px: [10, 20], id: "intro" };
 
 // ── buildMap ──
 const data: MapData = buildMap([anchor, snapAnchor], 1000, 2000);
 const segments: Segment[] = data.segments;
 const vTotal: number = data.vTotal;
 const dropped: number = data.droppedCount;
+const droppedIdx: number[] = data.dropped;
 const hasSnap: boolean = data.hasSnap;
+const diagnostics: AnchorDiagnostic[] = data.diagnostics;
+const policy: SegmentLength = (s: number[]) => s[0] + s[1];
+const buildOpts: BuildMapOptions = { segmentLength: policy };
+const _byA: MapData = buildMap([anchor], 1000, 2000, { segmentLength: "a" });
+const _bySum: MapData = buildMap([{ px: [10, 20, 30] }], [1000, 2000, 500], buildOpts);
+const _reason: AnchorIssue = diagnostics[0].reason;
+const _pane: number | undefined = diagnostics[0].pane;
+const _index: number = diagnostics[0].index;
 
 // ── Segment fields ──
 const seg: Segment = segments[0];
@@ -42,11 +77,23 @@ const _aS: number = seg.aS;
 const _bS: number = seg.bS;
 const _vS: number = seg.vS;
 const _snap: boolean | undefined = seg.snap;
+const _px: number[] | undefined = seg.px;
+const _s: number[] | undefined = seg.s;
+const _id: string | undefined = seg.id;
+
+// ── N-pane buildMap ──
+const multiAnchor: MultiAnchor = { px: [0, 100, 50], snap: true };
+const tuned: Anchor = { aPx: 10, bPx: 20, snapRange: 80, brakeFactor: 0.2, brakeZone: 40 };
+const tuning: AnchorTuning = tuned;
+const _segTuning: number | undefined = buildMap([tuned], 100, 100).segments[1].brakeZone;
+void tuning;
+const multiData: MapData = buildMap([multiAnchor, anchor], [1000, 2000, 500]);
 
 // ── lookup ──
 const pos: AxisPos = "vPx";
 const result: number = lookup(segments, "aPx", "bPx", 100);
 const _r2: number = lookup(segments, pos, "aPx", 50);
+const _r3: number = lookup(multiData.segments, 0, 2, 50);
 
 // ── ScrollPane ──
 const pane: ScrollPane = {
@@ -57,36 +104,126 @@ const pane: ScrollPane = {
   removeEventListener(_type: string, _handler: (e: any) => void) {},
 };
 
+// ── ScrollAxis ──
+const axis: ScrollAxis = "x";
+const hPane: ScrollPane = { ...pane, scrollLeft: 0, scrollWidth: 2000, clientWidth: 500 };
+
 // ── WheelBrakeOptions ──
 const brake: WheelBrakeOptions = { factor: 0.3, zone: 100 };
 
 // ── WheelOptions ──
 const wheel: WheelOptions = { smooth: 0.1, snap: 50, brake };
+const _timed: WheelOptions = { smooth: 0.1, halfLife: 110 };
+const _springy: WheelOptions = { smooth: 0.1, motion: "spring", stiffness: 300 };
+const customMotion: WheelMotion = {
+  remaining: 0,
+  add(delta: number) { void delta; },
+  fling(velocity: number) { void velocity; },
+  step(dt: number, ctx: WheelMotionContext): number {
+    void [ctx.vCurrent, ctx.map.vTotal, ctx.anchorDistance, ctx.snapping];
+    return dt * 0;
+  },
+  reset() {},
+};
+const _custom: WheelOptions = { smooth: 0.1, motion: customMotion, friction: 3000 };
 
 // ── SyncOptions ──
 const opts: SyncOptions = {
   getAnchors: () => [anchor],
-  onSync: () => {},
+  onSync: (_e: SyncEvent) => {},
   onMapBuilt: (_d: MapData) => {},
   onError: (_err: unknown) => {},
-  alignOffset: 20,
-  requestFrame: (cb: () => void) => setTimeout(cb, 16),
+  alignOffset: [20, "30%", (_p: ScrollPane, i: number) => (i === 0 ? 48 : 0)],
+  requestFrame: (cb: (time?: number) => void) => setTimeout(cb, 16),
   cancelFrame: (id: number) => clearTimeout(id),
   wheel,
+  axis: [axis, "y"],
+  autoInvalidate: true,
+  keyboard: true,
+  touch: true,
+  strict: true,
+  sectionSnapOnly: false,
+  direction: "a-to-b",
+  decoupleKey: "alt",
+  segmentLength: "a",
+  interpolation: "monotone",
+  snapAfter: { distance: 40, scroll: true, keyboard: false, touch: true, idle: 120 },
 };
 
 // ── DualScrollSync ──
 const sync = new DualScrollSync(pane, pane, opts);
 sync.invalidate();
 const map: MapData = sync.ensureMap();
+const asyncSync = new DualScrollSync(pane, pane, {
+  getAnchors: async () => [anchor, multiAnchor],
+});
+const _patched: MapData = sync.patchAnchors(100, 200, [anchor]);
 sync.scrollTo(500);
+const scrollOpts: ScrollToOptions = { behavior: "smooth", duration: 250, easing: (t) => t * t };
+const _arrived: Promise<boolean> = sync.scrollTo(800, scrollOpts);
+const navOpts: AnchorScrollOptions = { ...scrollOpts, snapOnly: true };
+const unsubscribe: () => void = sync.on("sync", (e: SyncEvent) => {
+  const _src: number | null = e.source;
+  void [_src, e.vCurrent, e.segment, e.progress];
+});
+unsubscribe();
+sync.on("mapbuilt", (d: MapData) => void d);
+sync.on("wheelstart", () => {});
+sync.on("snapstart", (e: SnapEvent) => void e.target);
+const onSnapEnd = (e: SnapEndEvent) => void e.arrived;
+sync.on("snapend", onSnapEnd);
+sync.off("snapend", onSnapEnd);
+sync.on("error", (err: unknown) => void err);
+const _events: keyof SyncEventMap = "wheelend";
+sync.on("sectionchange", (e: ActiveSection | null) => {
+  if (e) void [e.index, e.id, e.segment, e.progress];
+});
+const _section: ActiveSection | null = sync.activeSection;
+sync.sectionSnapOnly = true;
+const dir: SyncDirection = sync.direction;
+sync.direction = "b-to-a";
+const _key: DecoupleKey | null = sync.decoupleKey;
+sync.decoupleKey = null;
+const _corrections: MultiAnchor[] = sync.corrections;
+sync.clearCorrections();
+sync.followCaret(120);
+sync.followCaret(null);
+const _caret: number | null = sync.caret;
+const _offset: AlignOffset | AlignOffset[] = sync.alignOffset;
+sync.alignOffset = "25%";
+sync.alignOffset = () => 48;
+const _interp: Interpolation = sync.interpolation;
+sync.interpolation = "linear";
+const after: SnapAfterOptions = sync.snapAfter;
+sync.snapAfter.distance = null;
+void after;
+const _smooth: number = lookup(segments, "aPx", "bPx", 10, "monotone");
+const _mapped: number[] = [
+  sync.mapAToB(10), sync.mapBToA(10),
+  sync.vFromA(10), sync.vFromB(10),
+  sync.aFromV(10), sync.bFromV(10),
+];
+const _nav: Promise<boolean>[] = [
+  sync.scrollToAnchor("intro"),
+  sync.scrollToAnchor(3, scrollOpts),
+  sync.nextAnchor(navOpts),
+  sync.prevAnchor(),
+];
 const _v: number = sync.vCurrent;
 sync.enabled = false;
+sync.strict = false;
+const diagErr = new AnchorDiagnosticsError(diagnostics);
+const _diag: AnchorDiagnostic[] = diagErr.diagnostics;
+const _isErr: Error = diagErr;
 sync.destroy();
+const multiSync = new DualScrollSync([pane, pane, pane], {
+  getAnchors: () => [multiAnchor],
+});
+const _panes: readonly ScrollPane[] = multiSync.panes;
 
 // ── default export ──
 import DefaultSync from "../src/index.js";
 const _sync2 = new DefaultSync(pane, pane, { getAnchors: () => [] });
 
 // Suppress unused warnings
-void [segments, vTotal, dropped, hasSnap, _aPx, _bPx, _vPx, _aS, _bS, _vS, _snap, result, _r2, map, _v, _sync2];
+void [dir, _section, _events, _mapped, _nav, _arrived, asyncSync, _patched, _identified, _id, diagnostics, _reason, _pane, _index, _diag, _isErr, segments, vTotal, dropped, droppedIdx, _weighted, hasSnap, _aPx, _bPx, _vPx, _aS, _bS, _vS, _snap, _px, _s, result, _r2, _r3, map, _v, _sync2, _panes, hPane];